@@ -0,0 +1,342 @@
+/*jslint node:true*/
+
+'use strict';
+
+var Transform = require('stream').Transform;
+var assignOptions = require('./options');
+
+/**
+ * Collection of aggregating streams
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @type {{}}
+ * @alias streamLib.aggregate
+ * @memberOf streamLib
+ * @property {aggregate.Reduce} Reduce
+ * @property {aggregate.GroupBy} GroupBy
+ * @property {{}} aggregators
+ */
+var aggregate = {};
+
+/**
+ * Built-in aggregators with init, add and result functions
+ * @memberOf streamLib.aggregate
+ * @type {{}}
+ */
+aggregate.aggregators = {
+    count: {
+        init: function () {
+            return 0;
+        },
+        add: function (state) {
+            return state + 1;
+        },
+        result: function (state) {
+            return state;
+        }
+    },
+    sum: {
+        init: function () {
+            return 0;
+        },
+        add: function (state, value) {
+            return state + value;
+        },
+        result: function (state) {
+            return state;
+        }
+    },
+    min: {
+        init: function () {
+            return undefined;
+        },
+        add: function (state, value) {
+            return (state === undefined || value < state) ? value : state;
+        },
+        result: function (state) {
+            return state;
+        }
+    },
+    max: {
+        init: function () {
+            return undefined;
+        },
+        add: function (state, value) {
+            return (state === undefined || value > state) ? value : state;
+        },
+        result: function (state) {
+            return state;
+        }
+    },
+    mean: {
+        init: function () {
+            return {sum: 0, count: 0};
+        },
+        add: function (state, value) {
+            state.sum += value;
+            state.count += 1;
+            return state;
+        },
+        result: function (state) {
+            return state.count ? state.sum / state.count : undefined;
+        }
+    },
+    distinct: {
+        init: function () {
+            return new Set();
+        },
+        add: function (state, value) {
+            state.add(value);
+            return state;
+        },
+        result: function (state) {
+            return Array.from(state);
+        }
+    }
+};
+
+/**
+ * Fold a stream into a single result that is send on end. In running mode the updated result is send on every chunk.
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @param {function} fn - Reducer with the accumulator and the chunk, returning the new accumulator
+ * @param {*} [initial] - Initial value of the accumulator
+ * @param {{running: boolean}} [opts] - Options for the reduce
+ * @memberOf streamLib.aggregate
+ * @constructor
+ * @augments {stream.Transform}
+ */
+aggregate.Reduce = function Reduce(fn, initial, opts) {
+    Transform.call(this, {objectMode: true});
+    assignOptions(this, opts, ['running']);
+
+    this.fn = fn;
+    this.accumulator = initial;
+};
+/*jslint unparam: true*/
+aggregate.Reduce.prototype = {
+    '__proto__': Transform.prototype,
+
+    '_transform': function (chunk, encoding, next) {
+        try {
+            this.accumulator = this.fn(this.accumulator, chunk);
+        } catch (err) {
+            return next(err);
+        }
+        if (this.running) {
+            this.push(this.accumulator);
+        }
+        next();
+    },
+    '_flush': function (next) {
+        if (!this.running && this.accumulator !== undefined && this.accumulator !== null) {
+            this.push(this.accumulator);
+        }
+        next();
+    },
+
+    /**
+     * Current value of the fold
+     * @type {*}
+     */
+    accumulator: null,
+    /**
+     * Send the updated accumulator on every chunk
+     * @type {boolean}
+     */
+    running: false,
+    /**
+     * @private
+     */
+    fn: null
+};
+/*jslint unparam: false*/
+
+/**
+ * Aggregate chunks by key. Every group gets the configured aggregators, for example
+ * `{requests: 'count', bytes: {type: 'sum', value: function (chunk) { return chunk.length; }}}`. The results are send
+ * as objects with the key and a property per aggregator on end, or on every chunk in running mode. The amount of
+ * groups can be limited with maxKeys and ttl, evicted groups send their result.
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @param {{}} [opts] - Options for the grouping (key, aggregators, running, maxKeys, ttl)
+ * @memberOf streamLib.aggregate
+ * @constructor
+ * @augments {stream.Transform}
+ */
+aggregate.GroupBy = function GroupBy(opts) {
+    Transform.call(this, {objectMode: true});
+    assignOptions(this, opts, ['key', 'aggregators', 'running', 'maxKeys', 'ttl']);
+
+    this.groups = new Map();
+};
+/*jslint unparam: true*/
+aggregate.GroupBy.prototype = {
+    '__proto__': Transform.prototype,
+
+    '_transform': function (chunk, encoding, next) {
+        var key,
+            group,
+            name,
+            spec,
+            now = Date.now();
+
+        try {
+            key = this.key(chunk);
+            this.evictExpired(now);
+
+            group = this.groups.get(key);
+            if (group) {
+                this.groups.delete(key); // most recently used
+            } else {
+                group = {key: key, states: {}};
+                for (name in this.aggregators) {
+                    if (this.aggregators.hasOwnProperty(name)) {
+                        group.states[name] = this.getAggregator(name).init();
+                    }
+                }
+            }
+            group.updated = now;
+            this.groups.set(key, group);
+
+            for (name in this.aggregators) {
+                if (this.aggregators.hasOwnProperty(name)) {
+                    spec = this.aggregators[name];
+                    group.states[name] = this.getAggregator(name).add(group.states[name],
+                        (spec && typeof spec.value === 'function') ? spec.value(chunk) : chunk);
+                }
+            }
+        } catch (err) {
+            return next(err);
+        }
+
+        if (this.running) {
+            this.push(this.getResult(group));
+        }
+        while (this.maxKeys > 0 && this.groups.size > this.maxKeys) {
+            this.evict(this.groups.keys().next().value);
+        }
+        next();
+    },
+    '_flush': function (next) {
+        var self = this;
+
+        if (!this.running) {
+            this.groups.forEach(function (group) {
+                self.push(self.getResult(group));
+            });
+        }
+        this.groups.clear();
+        next();
+    },
+
+    /**
+     * Get the aggregator with init, add and result functions by its name
+     * @private
+     * @param {string} name - Name of the aggregator in the aggregators option
+     * @returns {{init: function, add: function, result: function}}
+     */
+    getAggregator: function (name) {
+        var spec = this.aggregators[name],
+            type = typeof spec === 'string' ? spec : spec.type;
+
+        if (typeof spec.add === 'function') {
+            return spec;
+        }
+        if (!aggregate.aggregators.hasOwnProperty(type)) {
+            throw new Error('Unknown aggregator: ' + type);
+        }
+        return aggregate.aggregators[type];
+    },
+    /**
+     * Get the result object of a group
+     * @param {{key: *, states: {}}} group
+     * @returns {{}}
+     */
+    getResult: function (group) {
+        var result = {key: group.key},
+            name;
+
+        for (name in group.states) {
+            if (group.states.hasOwnProperty(name)) {
+                result[name] = this.getAggregator(name).result(group.states[name]);
+            }
+        }
+        return result;
+    },
+    /**
+     * Remove a group and send its result (if not running)
+     * @param {*} key
+     * @returns {aggregate.GroupBy}
+     */
+    evict: function (key) {
+        var group = this.groups.get(key);
+
+        if (!group) {
+            return this;
+        }
+        this.groups.delete(key);
+        if (!this.running) {
+            this.push(this.getResult(group));
+        }
+        /**
+         * A group was evicted (key)
+         * @event streamLib.aggregate.GroupBy#evict
+         * @type {*}
+         */
+        this.emit('evict', key);
+        return this;
+    },
+    /**
+     * Evict groups without updates since ttl milliseconds. The groups are ordered by their last update, so the search
+     * stops at the first group that is still fresh.
+     * @private
+     * @param {number} now
+     */
+    evictExpired: function (now) {
+        var entry,
+            iterator;
+
+        if (!(this.ttl > 0)) {
+            return;
+        }
+        iterator = this.groups.values();
+        for (entry = iterator.next(); !entry.done && now - entry.value.updated >= this.ttl; entry = iterator.next()) {
+            this.evict(entry.value.key);
+        }
+    },
+
+    /**
+     * Get the key of a chunk
+     * @param {*} chunk
+     * @returns {*}
+     */
+    key: function (chunk) {
+        return chunk;
+    },
+    /**
+     * Aggregators by result name: a built-in name, an object with type and value function or a custom aggregator
+     * @type {{}}
+     */
+    aggregators: {count: 'count'},
+    /**
+     * Send the updated group on every chunk
+     * @type {boolean}
+     */
+    running: false,
+    /**
+     * Maximum amount of groups, the least recently updated gets evicted (zero is unlimited)
+     * @type {number}
+     */
+    maxKeys: 0,
+    /**
+     * Time in milliseconds after the last update of a group until it gets evicted (zero is forever)
+     * @type {number}
+     */
+    ttl: 0,
+    /**
+     * Groups by key
+     * @type {Map}
+     */
+    groups: null
+};
+/*jslint unparam: false*/
+
+module.exports = aggregate;
@@ -0,0 +1,244 @@
+/*jslint node:true*/
+
+'use strict';
+
+var Transform = require('stream').Transform;
+var assignOptions = require('./options');
+
+
+/**
+ * Collection of Ascii85 streams
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @type {{}}
+ * @alias streamLib.ascii85
+ * @memberOf streamLib
+ * @property {ascii85.Encoder} Encoder
+ * @property {ascii85.Decoder} Decoder
+ */
+var ascii85 = {};
+
+/**
+ * Encode a stream to an Ascii85 stream. Groups of four zero bytes become "z", bytes of incomplete groups are kept until
+ * the next chunk.
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @param {{}} [opts] - Options for the encoder (delimiters)
+ * @memberOf streamLib.ascii85
+ * @constructor
+ * @augments {stream.Transform}
+ */
+ascii85.Encoder = function Ascii85Encoder(opts) {
+    Transform.apply(this, arguments);
+    assignOptions(this, opts, ['delimiters']);
+
+    this.rest = new Buffer(0);
+};
+/*jslint unparam: true*/
+ascii85.Encoder.prototype = {
+    '__proto__': Transform.prototype,
+    '_transform': function (chunk, encoding, next) {
+        var buffer = Buffer.concat([this.rest, chunk]),
+            result = '',
+            length = buffer.length - buffer.length % 4,
+            i;
+
+        for (i = 0; i < length; i += 4) {
+            result += this.encodeGroup(buffer.readUInt32BE(i), 5, true);
+        }
+        this.rest = buffer.slice(length);
+        this.send(result);
+        next();
+    },
+    '_flush': function (next) {
+        var group = new Buffer([0, 0, 0, 0]),
+            result = '';
+
+        if (this.rest.length) {
+            this.rest.copy(group);
+            result = this.encodeGroup(group.readUInt32BE(0), this.rest.length + 1, false);
+        }
+        this.send(result);
+        if (this.delimiters) {
+            this.push(this.started ? '~>' : '<~~>');
+        }
+        next();
+    },
+
+    /**
+     * @private
+     * @param {number} value - Group as unsigned integer
+     * @param {number} length - Amount of characters to use
+     * @param {boolean} abbreviate - Use "z" for zero
+     * @returns {string}
+     */
+    encodeGroup: function (value, length, abbreviate) {
+        var characters = [],
+            i;
+
+        if (abbreviate && value === 0) {
+            return 'z';
+        }
+        for (i = 0; i < 5; i += 1) {
+            characters.unshift(String.fromCharCode(33 + value % 85));
+            value = Math.floor(value / 85);
+        }
+        return characters.join('').substr(0, length);
+    },
+    /**
+     * @private
+     * @param {string} text
+     */
+    send: function (text) {
+        if (!text.length) {
+            return;
+        }
+        if (this.delimiters && !this.started) {
+            text = '<~' + text;
+        }
+        this.started = true;
+        this.push(text);
+    },
+
+    /**
+     * Enclose the data in "<~" and "~>" like Adobe
+     * @type {boolean}
+     */
+    delimiters: false,
+    /**
+     * @private
+     */
+    started: false,
+    rest: null
+};
+/*jslint unparam: false*/
+
+/**
+ * Decode a stream from an Ascii85 stream. Whitespace and the delimiters "<~" and "~>" are skipped. Invalid characters
+ * emit an error with their byte offset.
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @constructor
+ * @memberOf streamLib.ascii85
+ * @augments {stream.Transform}
+ */
+ascii85.Decoder = function Ascii85Decoder() {
+    Transform.apply(this, arguments);
+    this.rest = '';
+};
+/*jslint unparam: true*/
+ascii85.Decoder.prototype = {
+    '__proto__': Transform.prototype,
+    '_transform': function (chunk, encoding, next) {
+        var text = chunk.toString('latin1'),
+            bytes = [],
+            character,
+            err,
+            i;
+
+        for (i = 0; i < text.length; i += 1) {
+            character = text[i];
+            err = null;
+
+            if (this.state === 'open') {
+                this.state = null;
+                if (character === '~') {
+                    continue;
+                }
+                this.rest += '<'; // Data and not the delimiter "<~", it is the first character of the group
+            }
+
+            if (this.state === 'close') {
+                this.state = 'ended';
+                if (character !== '>') {
+                    err = 'Invalid Ascii85 character "~"';
+                }
+            } else if (/\s/.test(character)) {
+                continue;
+            } else if (this.state === 'ended') {
+                err = 'Unexpected Ascii85 data after "~>"';
+            } else if (character === '<' && !this.started) {
+                this.state = 'open';
+            } else if (character === '~') {
+                this.state = 'close';
+            } else if (character === 'z' && !this.rest.length) {
+                bytes.push(0, 0, 0, 0);
+            } else if (character < '!' || character > 'u') {
+                err = 'Invalid Ascii85 character "' + character + '"';
+            } else {
+                this.rest += character;
+                if (this.rest.length === 5) {
+                    err = this.decodeGroup(this.rest, bytes);
+                    this.rest = '';
+                }
+            }
+
+            if (err) {
+                return next(new Error(err + ' at byte offset ' + (this.offset + i)));
+            }
+            this.started = true;
+        }
+        this.offset += text.length;
+
+        if (bytes.length) {
+            this.push(new Buffer(bytes));
+        }
+        next();
+    },
+    '_flush': function (next) {
+        var bytes = [],
+            err;
+
+        if (this.state === 'open') {
+            this.state = null;
+            this.rest += '<';
+        }
+        if (this.rest.length === 1) {
+            return next(new Error('Incomplete Ascii85 group at the end: "' + this.rest + '"'));
+        }
+        if (this.rest.length) {
+            err = this.decodeGroup((this.rest + 'uuuu').substr(0, 5), bytes);
+            if (err) {
+                return next(new Error(err + ' at the end'));
+            }
+            this.push(new Buffer(bytes.slice(0, this.rest.length - 1)));
+        }
+        next();
+    },
+
+    /**
+     * Decode a group of five characters
+     * @private
+     * @param {string} group
+     * @param {number[]} bytes - Receives the decoded bytes
+     * @returns {string|undefined} Error message
+     */
+    decodeGroup: function (group, bytes) {
+        var value = 0,
+            i;
+
+        for (i = 0; i < 5; i += 1) {
+            value = value * 85 + group.charCodeAt(i) - 33;
+        }
+        if (value > 0xffffffff) {
+            return 'Ascii85 group "' + group + '" out of range';
+        }
+        bytes.push(Math.floor(value / 0x1000000) % 256, Math.floor(value / 0x10000) % 256,
+            Math.floor(value / 0x100) % 256, value % 256);
+    },
+
+    /**
+     * Bytes of the stream that are already decoded
+     * @type {number}
+     */
+    offset: 0,
+    /**
+     * @private
+     */
+    state: null,
+    /**
+     * @private
+     */
+    started: false,
+    rest: ''
+};
+/*jslint unparam: false*/
+
+module.exports = ascii85;
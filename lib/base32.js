@@ -0,0 +1,250 @@
+/*jslint node:true*/
+
+'use strict';
+
+var Transform = require('stream').Transform;
+var assignOptions = require('./options');
+
+
+/**
+ * Collection of base32 streams
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @type {{}}
+ * @alias streamLib.base32
+ * @memberOf streamLib
+ * @property {base32.Encoder} Encoder
+ * @property {base32.Decoder} Decoder
+ * @property {{}} alphabets
+ */
+var base32 = {};
+
+/**
+ * Alphabets of the base32 variants
+ * @memberOf streamLib.base32
+ * @type {{rfc4648: string, crockford: string}}
+ */
+base32.alphabets = {
+    rfc4648: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567',
+    crockford: '0123456789ABCDEFGHJKMNPQRSTVWXYZ'
+};
+
+/**
+ * Check the variant of an encoder or decoder
+ * @private
+ * @param {base32.Encoder|base32.Decoder} stream
+ */
+var checkVariant = function (stream) {
+    if (!base32.alphabets.hasOwnProperty(stream.variant)) {
+        throw new Error('Unknown base32 variant: ' + stream.variant);
+    }
+};
+
+/**
+ * Encode a stream to a base32 stream (RFC 4648 or Crockford). Bytes of incomplete groups are kept until the next
+ * chunk.
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @param {{}} [opts] - Options for the encoder (variant, padding)
+ * @memberOf streamLib.base32
+ * @constructor
+ * @augments {stream.Transform}
+ */
+base32.Encoder = function Base32Encoder(opts) {
+    Transform.apply(this, arguments);
+    assignOptions(this, opts, ['variant']);
+
+    checkVariant(this);
+    this.padding = this.variant === 'rfc4648';
+    assignOptions(this, opts, ['padding']);
+    this.rest = new Buffer(0);
+};
+/*jslint unparam: true*/
+base32.Encoder.prototype = {
+    '__proto__': Transform.prototype,
+    '_transform': function (chunk, encoding, next) {
+        var buffer = Buffer.concat([this.rest, chunk]),
+            length = buffer.length - buffer.length % 5;
+
+        this.rest = buffer.slice(length);
+        if (length) {
+            this.push(this.encode(buffer.slice(0, length)));
+        }
+        next();
+    },
+    '_flush': function (next) {
+        var text;
+
+        if (this.rest.length) {
+            text = this.encode(this.rest);
+            if (this.padding) {
+                text += new Array(9 - text.length).join('=');
+            }
+            this.push(text);
+        }
+        next();
+    },
+
+    /**
+     * @private
+     * @param {Buffer} buffer
+     * @returns {string}
+     */
+    encode: function (buffer) {
+        var alphabet = base32.alphabets[this.variant],
+            result = '',
+            value = 0,
+            bits = 0,
+            i;
+
+        for (i = 0; i < buffer.length; i += 1) {
+            value = (value << 8) | buffer[i];
+            bits += 8;
+            while (bits >= 5) {
+                bits -= 5;
+                result += alphabet[(value >> bits) & 0x1f];
+            }
+            value &= (1 << bits) - 1;
+        }
+        if (bits) {
+            result += alphabet[(value << (5 - bits)) & 0x1f];
+        }
+        return result;
+    },
+
+    /**
+     * Variant of base32: "rfc4648" or "crockford"
+     * @type {string}
+     */
+    variant: 'rfc4648',
+    /**
+     * Add "=" at the end to complete the last group, the default for "rfc4648"
+     * @type {boolean}
+     */
+    padding: true,
+    rest: null
+};
+/*jslint unparam: false*/
+
+/**
+ * Decode a stream from a base32 stream (RFC 4648 or Crockford). Whitespace is skipped, Crockford is decoded case
+ * insensitive with hyphens and the aliases I, L and O. Invalid characters emit an error with their byte offset.
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @param {{}} [opts] - Options for the decoder (variant)
+ * @memberOf streamLib.base32
+ * @constructor
+ * @augments {stream.Transform}
+ */
+base32.Decoder = function Base32Decoder(opts) {
+    var alphabet,
+        i;
+
+    Transform.apply(this, arguments);
+    assignOptions(this, opts, ['variant']);
+
+    checkVariant(this);
+
+    alphabet = base32.alphabets[this.variant];
+    this.values = {};
+    for (i = 0; i < alphabet.length; i += 1) {
+        this.values[alphabet[i]] = i;
+    }
+    if (this.variant === 'crockford') {
+        this.values.I = this.values.L = 1;
+        this.values.O = 0;
+    }
+    this.rest = '';
+};
+/*jslint unparam: true*/
+base32.Decoder.prototype = {
+    '__proto__': Transform.prototype,
+    '_transform': function (chunk, encoding, next) {
+        var text = chunk.toString('latin1'),
+            clean = this.rest,
+            character,
+            length,
+            i;
+
+        if (this.variant === 'crockford') {
+            text = text.toUpperCase();
+        }
+        for (i = 0; i < text.length; i += 1) {
+            character = text[i];
+            if (character === '=' && this.variant === 'rfc4648') {
+                this.padded = true;
+            } else if (!/\s/.test(character) && !(character === '-' && this.variant === 'crockford')) {
+                if (!this.values.hasOwnProperty(character)) {
+                    return next(new Error('Invalid base32 character "' + character + '" at byte offset ' +
+                        (this.offset + i)));
+                }
+                if (this.padded) {
+                    return next(new Error('Unexpected base32 data after padding at byte offset ' + (this.offset + i)));
+                }
+                clean += character;
+            }
+        }
+        this.offset += text.length;
+
+        length = clean.length - clean.length % 8;
+        this.rest = clean.substr(length);
+        if (length) {
+            this.push(this.decode(clean.substr(0, length)));
+        }
+        next();
+    },
+    '_flush': function (next) {
+        if ([1, 3, 6].indexOf(this.rest.length) !== -1) {
+            return next(new Error('Incomplete base32 group at the end: "' + this.rest + '"'));
+        }
+        if (this.rest.length) {
+            this.push(this.decode(this.rest));
+        }
+        next();
+    },
+
+    /**
+     * @private
+     * @param {string} text - Valid characters without padding
+     * @returns {Buffer}
+     */
+    decode: function (text) {
+        var result = new Buffer(Math.floor(text.length * 5 / 8)),
+            value = 0,
+            bits = 0,
+            position = 0,
+            i;
+
+        for (i = 0; i < text.length; i += 1) {
+            value = (value << 5) | this.values[text[i]];
+            bits += 5;
+            if (bits >= 8) {
+                bits -= 8;
+                result[position] = (value >> bits) & 0xff;
+                position += 1;
+            }
+            value &= (1 << bits) - 1;
+        }
+        return result;
+    },
+
+    /**
+     * Variant of base32: "rfc4648" or "crockford"
+     * @type {string}
+     */
+    variant: 'rfc4648',
+    /**
+     * Bytes of the stream that are already decoded
+     * @type {number}
+     */
+    offset: 0,
+    /**
+     * @private
+     */
+    values: null,
+    /**
+     * @private
+     */
+    padded: false,
+    rest: ''
+};
+/*jslint unparam: false*/
+
+module.exports = base32;
@@ -0,0 +1,179 @@
+/*jslint node:true*/
+
+'use strict';
+
+var Transform = require('stream').Transform;
+var assignOptions = require('./options');
+
+
+/**
+ * Collection of base64 streams
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @type {{}}
+ * @alias streamLib.base64
+ * @memberOf streamLib
+ * @property {base64.Encoder} Encoder
+ * @property {base64.Decoder} Decoder
+ */
+var base64 = {};
+
+/**
+ * Encode a stream to a base64 stream. Bytes of incomplete groups are kept until the next chunk, so the padding is only
+ * at the end.
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @param {{}} [opts] - Options for the encoder (urlSafe, padding, lineLength)
+ * @memberOf streamLib.base64
+ * @constructor
+ * @augments {stream.Transform}
+ */
+base64.Encoder = function Base64Encoder(opts) {
+    Transform.apply(this, arguments);
+    assignOptions(this, opts, ['urlSafe', 'padding', 'lineLength']);
+
+    this.rest = new Buffer(0);
+};
+/*jslint unparam: true*/
+base64.Encoder.prototype = {
+    '__proto__': Transform.prototype,
+    '_transform': function (chunk, encoding, next) {
+        var buffer = Buffer.concat([this.rest, chunk]),
+            length = buffer.length - buffer.length % 3;
+
+        this.rest = buffer.slice(length);
+        this.send(buffer.slice(0, length).toString('base64'));
+        next();
+    },
+    '_flush': function (next) {
+        var text = this.rest.toString('base64');
+
+        if (!this.padding) {
+            text = text.replace(/=+$/, '');
+        }
+        this.send(text);
+        next();
+    },
+
+    /**
+     * Send encoded text with the alphabet and the line breaks
+     * @private
+     * @param {string} text
+     */
+    send: function (text) {
+        var result = '',
+            position = 0,
+            length;
+
+        if (this.urlSafe) {
+            text = text.replace(/\+/g, '-').replace(/\//g, '_');
+        }
+        if (this.lineLength > 0) {
+            while (position < text.length) {
+                if (this.column === this.lineLength) {
+                    result += '\r\n';
+                    this.column = 0;
+                }
+                length = Math.min(this.lineLength - this.column, text.length - position);
+                result += text.substr(position, length);
+                this.column += length;
+                position += length;
+            }
+            text = result;
+        }
+        if (text.length) {
+            this.push(text);
+        }
+    },
+
+    /**
+     * Use the URL and filename safe alphabet with "-" and "_"
+     * @type {boolean}
+     */
+    urlSafe: false,
+    /**
+     * Add "=" at the end to complete the last group
+     * @type {boolean}
+     */
+    padding: true,
+    /**
+     * Break lines after this amount of characters, 76 for MIME (zero never breaks)
+     * @type {number}
+     */
+    lineLength: 0,
+    /**
+     * @private
+     */
+    column: 0,
+    rest: null
+};
+/*jslint unparam: false*/
+
+/**
+ * Decode a stream from a base64 stream. The standard and the URL safe alphabet are accepted, whitespace and line
+ * breaks are skipped. Invalid characters emit an error with their byte offset.
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @constructor
+ * @memberOf streamLib.base64
+ * @augments {stream.Transform}
+ */
+base64.Decoder = function Base64Decoder() {
+    Transform.apply(this, arguments);
+    this.rest = '';
+};
+/*jslint unparam: true*/
+base64.Decoder.prototype = {
+    '__proto__': Transform.prototype,
+    '_transform': function (chunk, encoding, next) {
+        var text = chunk.toString('latin1'),
+            clean = this.rest,
+            character,
+            length,
+            i;
+
+        for (i = 0; i < text.length; i += 1) {
+            character = text[i];
+            if (character === '=') {
+                this.padded = true;
+            } else if (!/\s/.test(character)) {
+                if (!/[A-Za-z0-9+\/\-_]/.test(character)) {
+                    return next(new Error('Invalid base64 character "' + character + '" at byte offset ' +
+                        (this.offset + i)));
+                }
+                if (this.padded) {
+                    return next(new Error('Unexpected base64 data after padding at byte offset ' + (this.offset + i)));
+                }
+                clean += character;
+            }
+        }
+        this.offset += text.length;
+
+        length = clean.length - clean.length % 4;
+        this.rest = clean.substr(length);
+        if (length) {
+            this.push(new Buffer(clean.substr(0, length).replace(/-/g, '+').replace(/_/g, '/'), 'base64'));
+        }
+        next();
+    },
+    '_flush': function (next) {
+        if (this.rest.length === 1) {
+            return next(new Error('Incomplete base64 group at the end: "' + this.rest + '"'));
+        }
+        if (this.rest.length) {
+            this.push(new Buffer(this.rest.replace(/-/g, '+').replace(/_/g, '/'), 'base64'));
+        }
+        next();
+    },
+
+    /**
+     * Bytes of the stream that are already decoded
+     * @type {number}
+     */
+    offset: 0,
+    /**
+     * @private
+     */
+    padded: false,
+    rest: ''
+};
+/*jslint unparam: false*/
+
+module.exports = base64;
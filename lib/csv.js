@@ -0,0 +1,337 @@
+/*jslint node:true*/
+
+'use strict';
+
+var Transform = require('stream').Transform;
+var StringDecoder = require('string_decoder').StringDecoder;
+var assignOptions = require('./options');
+
+/**
+ * Collection of CSV (RFC 4180) streams, use the delimiter "\t" for TSV
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @type {{}}
+ * @alias streamLib.csv
+ * @memberOf streamLib
+ * @property {csv.Parse} Parse
+ * @property {csv.Stringify} Stringify
+ */
+var csv = {};
+
+/**
+ * Parse a CSV text stream into rows in object mode. With a header the rows are objects with the column names as
+ * properties, otherwise arrays. Quoted fields may contain delimiters, escaped quotes ("") and line breaks. Empty lines
+ * are skipped.
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @param {{}} [opts] - Options for the parser (delimiter, quote, header, columns, encoding)
+ * @memberOf streamLib.csv
+ * @constructor
+ * @augments {stream.Transform}
+ */
+csv.Parse = function Parse(opts) {
+    Transform.call(this, {readableObjectMode: true});
+    assignOptions(this, opts, ['delimiter', 'quote', 'header', 'columns', 'encoding']);
+
+    if (this.delimiter.length !== 1 || this.quote.length !== 1) {
+        throw new Error('Delimiter and quote must be single characters');
+    }
+    if (Array.isArray(this.header)) {
+        this.headers = this.header;
+    }
+    this.decoder = new StringDecoder(this.encoding);
+    this.row = [];
+};
+/*jslint unparam: true*/
+csv.Parse.prototype = {
+    '__proto__': Transform.prototype,
+    '_transform': function (chunk, encoding, next) {
+        next(this.parse(typeof chunk === 'string' ? chunk : this.decoder.write(chunk)));
+    },
+    '_flush': function (next) {
+        var err = this.parse(this.decoder.end());
+
+        if (err) {
+            return next(err);
+        }
+        if (this.state === 'quoted') {
+            return next(new Error('Unclosed quote in field starting in line ' + this.quoteLine));
+        }
+        if (this.state !== 'start' || this.row.length) {
+            this.endField();
+            this.endRow();
+        }
+        next();
+    },
+
+    /**
+     * Parse text and keep the state of the unfinished row
+     * @private
+     * @param {string} text
+     * @returns {Error|undefined}
+     */
+    parse: function (text) {
+        var i,
+            character;
+
+        for (i = 0; i < text.length; i += 1) {
+            character = text[i];
+
+            if (this.skipLineFeed) {
+                this.skipLineFeed = false;
+                if (character === '\n') {
+                    continue;
+                }
+            }
+
+            if (this.state === 'quoted') {
+                if (character === this.quote) {
+                    this.state = 'quoteInQuoted';
+                } else {
+                    if (character === '\n') {
+                        this.line += 1;
+                    }
+                    this.field += character;
+                }
+            } else if (this.state === 'quoteInQuoted' && character === this.quote) {
+                this.field += character;
+                this.state = 'quoted';
+            } else if (character === this.delimiter) {
+                this.endField();
+            } else if (character === '\n' || character === '\r') {
+                this.skipLineFeed = character === '\r';
+                this.endField();
+                this.endRow();
+                this.line += 1;
+            } else if (this.state === 'quoteInQuoted') {
+                return new Error('Unexpected character "' + character + '" after closing quote in line ' + this.line);
+            } else if (this.state === 'start' && character === this.quote) {
+                this.state = 'quoted';
+                this.quoteLine = this.line;
+                this.rowQuoted = true;
+            } else {
+                this.field += character;
+                this.state = 'unquoted';
+            }
+        }
+    },
+    /**
+     * @private
+     */
+    endField: function () {
+        this.row.push(this.field);
+        this.field = '';
+        this.state = 'start';
+    },
+    /**
+     * @private
+     */
+    endRow: function () {
+        var row = this.row,
+            result,
+            i;
+
+        this.row = [];
+        if (row.length === 1 && row[0] === '' && !this.rowQuoted) {
+            return;
+        }
+        this.rowQuoted = false;
+
+        if (this.header === true && !this.headers) {
+            this.headers = row;
+            return;
+        }
+        if (this.headers) {
+            result = {};
+            for (i = 0; i < this.headers.length; i += 1) {
+                if (!this.columns || this.columns.indexOf(this.headers[i]) !== -1) {
+                    result[this.headers[i]] = row[i];
+                }
+            }
+        } else if (this.columns) {
+            result = this.columns.map(function (index) {
+                return row[index];
+            });
+        } else {
+            result = row;
+        }
+        this.push(result);
+    },
+
+    /**
+     * Delimiter between fields
+     * @type {string}
+     */
+    delimiter: ',',
+    /**
+     * Quote around fields
+     * @type {string}
+     */
+    quote: '"',
+    /**
+     * Map rows to objects: true takes the names from the first row, an array sets the names
+     * @type {boolean|string[]}
+     */
+    header: true,
+    /**
+     * Columns to keep: names with a header, indexes otherwise (null keeps all)
+     * @type {Array|null}
+     */
+    columns: null,
+    /**
+     * Encoding of the text
+     * @type {string}
+     */
+    encoding: 'utf8',
+    /**
+     * Column names of the rows
+     * @type {string[]|null}
+     */
+    headers: null,
+    /**
+     * Current line of the text
+     * @type {number}
+     */
+    line: 1,
+    /**
+     * @private
+     */
+    state: 'start',
+    /**
+     * @private
+     */
+    field: '',
+    /**
+     * @private
+     */
+    row: null,
+    /**
+     * @private
+     */
+    quoteLine: 0,
+    /**
+     * @private
+     */
+    rowQuoted: false,
+    /**
+     * @private
+     */
+    skipLineFeed: false,
+    /**
+     * @private
+     */
+    decoder: null
+};
+/*jslint unparam: false*/
+
+/**
+ * Write objects or arrays in object mode as CSV text. For objects a header row is written with the columns, or with
+ * the properties of the first object. Fields are quoted when needed or always.
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @param {{}} [opts] - Options for the writer (delimiter, quote, header, columns, quoteAll, lineEnding)
+ * @memberOf streamLib.csv
+ * @constructor
+ * @augments {stream.Transform}
+ */
+csv.Stringify = function Stringify(opts) {
+    Transform.call(this, {writableObjectMode: true});
+    assignOptions(this, opts, ['delimiter', 'quote', 'header', 'columns', 'quoteAll', 'lineEnding']);
+
+    this.quotePattern = new RegExp(this.quote.replace(/[\-\[\]\/{}()*+?.\\\^$|]/g, '\\$&'), 'g');
+};
+/*jslint unparam: true*/
+csv.Stringify.prototype = {
+    '__proto__': Transform.prototype,
+    '_transform': function (chunk, encoding, next) {
+        var fields;
+
+        if (Array.isArray(chunk)) {
+            fields = this.columns ? this.columns.map(function (index) {
+                return chunk[index];
+            }) : chunk;
+        } else {
+            if (!this.columns) {
+                this.columns = Object.keys(chunk);
+            }
+            if (this.header && !this.headerWritten) {
+                this.headerWritten = true;
+                this.push(this.formatRow(this.columns));
+            }
+            fields = this.columns.map(function (name) {
+                return chunk[name];
+            });
+        }
+
+        this.push(this.formatRow(fields));
+        next();
+    },
+
+    /**
+     * @private
+     * @param {Array} fields
+     * @returns {string}
+     */
+    formatRow: function (fields) {
+        return fields.map(this.formatField, this).join(this.delimiter) + this.lineEnding;
+    },
+    /**
+     * @private
+     * @param {*} value
+     * @returns {string}
+     */
+    formatField: function (value) {
+        if (value === null || value === undefined) {
+            value = '';
+        } else if (value instanceof Date) {
+            value = value.toISOString();
+        } else {
+            value = String(value);
+        }
+
+        if (this.quoteAll || value.indexOf(this.delimiter) !== -1 || value.indexOf(this.quote) !== -1 ||
+                /[\r\n]/.test(value) || /^\s|\s$/.test(value)) {
+            return this.quote + value.replace(this.quotePattern, this.quote + this.quote) + this.quote;
+        }
+        return value;
+    },
+
+    /**
+     * Delimiter between fields
+     * @type {string}
+     */
+    delimiter: ',',
+    /**
+     * Quote around fields
+     * @type {string}
+     */
+    quote: '"',
+    /**
+     * Write a header row for objects
+     * @type {boolean}
+     */
+    header: true,
+    /**
+     * Columns to write: names for objects, indexes for arrays (null writes all)
+     * @type {Array|null}
+     */
+    columns: null,
+    /**
+     * Quote every field, not only fields that need it
+     * @type {boolean}
+     */
+    quoteAll: false,
+    /**
+     * Line ending after every row
+     * @type {string}
+     */
+    lineEnding: '\r\n',
+    /**
+     * @private
+     */
+    headerWritten: false,
+    /**
+     * @private
+     */
+    quotePattern: null
+};
+/*jslint unparam: false*/
+
+module.exports = csv;
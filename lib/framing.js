@@ -0,0 +1,623 @@
+/*jslint node:true*/
+
+'use strict';
+
+var Transform = require('stream').Transform;
+var assignOptions = require('./options');
+
+/**
+ * Collection of streams to frame messages in a byte stream. Encoders take one message per chunk, decoders send one
+ * message per chunk in object mode, even if a frame is split across chunks.
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @type {{}}
+ * @alias streamLib.framing
+ * @memberOf streamLib
+ * @property {framing.LengthEncoder} LengthEncoder
+ * @property {framing.LengthDecoder} LengthDecoder
+ * @property {framing.DelimiterEncoder} DelimiterEncoder
+ * @property {framing.DelimiterDecoder} DelimiterDecoder
+ * @property {framing.NetstringEncoder} NetstringEncoder
+ * @property {framing.NetstringDecoder} NetstringDecoder
+ * @property {framing.CobsEncoder} CobsEncoder
+ * @property {framing.CobsDecoder} CobsDecoder
+ */
+var framing = {};
+
+/**
+ * Stream options of a decoder, the readable side is always in object mode to keep the frames apart
+ * @private
+ * @param {{}} [opts]
+ * @returns {{}}
+ */
+var decoderOptions = function (opts) {
+    var result = {},
+        name;
+
+    if (opts && typeof opts === 'object') {
+        for (name in opts) {
+            if (opts.hasOwnProperty(name)) {
+                result[name] = opts[name];
+            }
+        }
+    }
+    result.readableObjectMode = true;
+    return result;
+};
+
+/**
+ * Convert a chunk to a buffer
+ * @private
+ * @param {Buffer|string} chunk
+ * @returns {Buffer}
+ */
+var toBuffer = function (chunk) {
+    return Buffer.isBuffer(chunk) ? chunk : new Buffer(String(chunk));
+};
+
+/**
+ * Check the prefix options of a length encoder or decoder
+ * @private
+ * @param {framing.LengthEncoder|framing.LengthDecoder} stream
+ */
+var checkPrefix = function (stream) {
+    if ([1, 2, 4, 'varint'].indexOf(stream.bytes) === -1) {
+        throw new Error('Unsupported length prefix width: ' + stream.bytes);
+    }
+    if (stream.endian !== 'BE' && stream.endian !== 'LE') {
+        throw new Error('Unknown byte order: ' + stream.endian);
+    }
+};
+
+/**
+ * Encode an unsigned integer as varint (7 bits per byte, least significant group first)
+ * @private
+ * @param {number} value
+ * @returns {Buffer}
+ */
+var encodeVarint = function (value) {
+    var bytes = [];
+
+    while (value >= 0x80) {
+        bytes.push((value % 0x80) | 0x80);
+        value = Math.floor(value / 0x80);
+    }
+    bytes.push(value);
+    return new Buffer(bytes);
+};
+
+/**
+ * Decode a varint from a buffer
+ * @private
+ * @param {Buffer} buffer
+ * @param {number} position
+ * @returns {{length: number, bytes: number}|Error|null} Null if the varint is not complete yet
+ */
+var decodeVarint = function (buffer, position) {
+    var value = 0,
+        factor = 1,
+        i;
+
+    for (i = 0; position + i < buffer.length; i += 1) {
+        if (i >= 5) {
+            return new Error('Varint length prefix longer than 5 bytes');
+        }
+        value += (buffer[position + i] & 0x7f) * factor;
+        factor *= 0x80;
+        if (buffer[position + i] < 0x80) {
+            return {length: value, bytes: i + 1};
+        }
+    }
+    return null;
+};
+
+/**
+ * Prefix every message with its length. The prefix is 1, 2 or 4 bytes wide in big or little endian, or a varint.
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @param {{}} [opts] - Options for the stream and the prefix (bytes, endian)
+ * @memberOf streamLib.framing
+ * @constructor
+ * @augments {stream.Transform}
+ */
+framing.LengthEncoder = function LengthEncoder(opts) {
+    Transform.call(this, opts);
+    assignOptions(this, opts, ['bytes', 'endian']);
+    checkPrefix(this);
+};
+/*jslint unparam: true*/
+framing.LengthEncoder.prototype = {
+    '__proto__': Transform.prototype,
+    '_transform': function (chunk, encoding, next) {
+        var prefix;
+
+        chunk = toBuffer(chunk);
+        if (this.bytes === 'varint') {
+            prefix = encodeVarint(chunk.length);
+        } else {
+            if (chunk.length >= Math.pow(2, this.bytes * 8)) {
+                return next(new Error('Frame of ' + chunk.length + ' bytes does not fit into a ' + this.bytes +
+                    ' byte length prefix'));
+            }
+            prefix = new Buffer(this.bytes);
+            prefix['writeUInt' + (this.bytes * 8) + (this.bytes === 1 ? '' : this.endian)](chunk.length, 0);
+        }
+        this.push(Buffer.concat([prefix, chunk]));
+        next();
+    },
+
+    /**
+     * Width of the length prefix: 1, 2, 4 or "varint"
+     * @type {number|string}
+     */
+    bytes: 4,
+    /**
+     * Byte order of the length prefix: "BE" or "LE"
+     * @type {string}
+     */
+    endian: 'BE'
+};
+/*jslint unparam: false*/
+
+/**
+ * Split a stream into the messages of a length prefix encoder
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @param {{}} [opts] - Options for the stream and the prefix (bytes, endian, maxLength)
+ * @memberOf streamLib.framing
+ * @constructor
+ * @augments {stream.Transform}
+ */
+framing.LengthDecoder = function LengthDecoder(opts) {
+    Transform.call(this, decoderOptions(opts));
+    assignOptions(this, opts, ['bytes', 'endian', 'maxLength']);
+    checkPrefix(this);
+    this.rest = new Buffer(0);
+};
+/*jslint unparam: true*/
+framing.LengthDecoder.prototype = {
+    '__proto__': Transform.prototype,
+    '_transform': function (chunk, encoding, next) {
+        var buffer = Buffer.concat([this.rest, toBuffer(chunk)]),
+            position = 0,
+            header,
+            length;
+
+        while (true) {
+            if (this.bytes === 'varint') {
+                header = decodeVarint(buffer, position);
+                if (header instanceof Error) {
+                    return next(new Error(header.message + ' at byte offset ' + (this.offset + position)));
+                }
+            } else if (buffer.length - position >= this.bytes) {
+                header = {
+                    length: buffer['readUInt' + (this.bytes * 8) + (this.bytes === 1 ? '' : this.endian)](position),
+                    bytes: this.bytes
+                };
+            } else {
+                header = null;
+            }
+            if (!header) {
+                break;
+            }
+
+            length = header.length;
+            if (this.maxLength > 0 && length > this.maxLength) {
+                return next(new Error('Frame of ' + length + ' bytes at byte offset ' + (this.offset + position) +
+                    ' exceeds the maximum length of ' + this.maxLength + ' bytes'));
+            }
+            if (buffer.length - position - header.bytes < length) {
+                break;
+            }
+            this.push(buffer.slice(position + header.bytes, position + header.bytes + length));
+            position += header.bytes + length;
+        }
+
+        this.offset += position;
+        this.rest = buffer.slice(position);
+        next();
+    },
+    '_flush': function (next) {
+        if (this.rest.length) {
+            return next(new Error('Incomplete frame at byte offset ' + this.offset + ', ' + this.rest.length +
+                ' bytes left at the end'));
+        }
+        next();
+    },
+
+    /**
+     * Width of the length prefix: 1, 2, 4 or "varint"
+     * @type {number|string}
+     */
+    bytes: 4,
+    /**
+     * Byte order of the length prefix: "BE" or "LE"
+     * @type {string}
+     */
+    endian: 'BE',
+    /**
+     * Maximum length of a frame in bytes (zero is unlimited)
+     * @type {number}
+     */
+    maxLength: 1024 * 1024,
+    /**
+     * Bytes of the stream that are already decoded
+     * @type {number}
+     */
+    offset: 0,
+    rest: null
+};
+/*jslint unparam: false*/
+
+/**
+ * Append a delimiter to every message
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @param {{}} [opts] - Options for the stream and the delimiter
+ * @memberOf streamLib.framing
+ * @constructor
+ * @augments {stream.Transform}
+ */
+framing.DelimiterEncoder = function DelimiterEncoder(opts) {
+    Transform.call(this, opts);
+    assignOptions(this, opts, ['delimiter']);
+    this.delimiter = toBuffer(this.delimiter);
+};
+/*jslint unparam: true*/
+framing.DelimiterEncoder.prototype = {
+    '__proto__': Transform.prototype,
+    '_transform': function (chunk, encoding, next) {
+        var position;
+
+        chunk = toBuffer(chunk);
+        position = chunk.indexOf(this.delimiter);
+        if (position !== -1) {
+            return next(new Error('Frame contains the delimiter at byte ' + position));
+        }
+        this.push(Buffer.concat([chunk, this.delimiter]));
+        next();
+    },
+
+    /**
+     * Delimiter after every frame
+     * @type {Buffer|string}
+     */
+    delimiter: '\n'
+};
+/*jslint unparam: false*/
+
+/**
+ * Split a stream at a delimiter. The delimiter is removed, a remaining frame without delimiter is send on end.
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @param {{}} [opts] - Options for the stream and the delimiter (delimiter, maxLength)
+ * @memberOf streamLib.framing
+ * @constructor
+ * @augments {stream.Transform}
+ */
+framing.DelimiterDecoder = function DelimiterDecoder(opts) {
+    Transform.call(this, decoderOptions(opts));
+    assignOptions(this, opts, ['delimiter', 'maxLength']);
+    this.delimiter = toBuffer(this.delimiter);
+    if (!this.delimiter.length) {
+        throw new Error('Delimiter must not be empty');
+    }
+    this.rest = new Buffer(0);
+};
+/*jslint unparam: true*/
+framing.DelimiterDecoder.prototype = {
+    '__proto__': Transform.prototype,
+    '_transform': function (chunk, encoding, next) {
+        var buffer = Buffer.concat([this.rest, toBuffer(chunk)]),
+            start = 0,
+            search = Math.max(0, this.rest.length - this.delimiter.length + 1),
+            end;
+
+        while ((end = buffer.indexOf(this.delimiter, search)) !== -1) {
+            if (this.maxLength > 0 && end - start > this.maxLength) {
+                return next(this.tooLong(start));
+            }
+            this.push(buffer.slice(start, end));
+            start = end + this.delimiter.length;
+            search = start;
+        }
+        if (this.maxLength > 0 && buffer.length - start > this.maxLength) {
+            return next(this.tooLong(start));
+        }
+
+        this.offset += start;
+        this.rest = buffer.slice(start);
+        next();
+    },
+    '_flush': function (next) {
+        if (this.rest.length) {
+            this.push(this.rest);
+        }
+        next();
+    },
+
+    /**
+     * @private
+     * @param {number} start - Start of the frame in the current buffer
+     * @returns {Error}
+     */
+    tooLong: function (start) {
+        return new Error('Frame at byte offset ' + (this.offset + start) + ' exceeds the maximum length of ' +
+            this.maxLength + ' bytes without a delimiter');
+    },
+
+    /**
+     * Delimiter after every frame
+     * @type {Buffer|string}
+     */
+    delimiter: '\n',
+    /**
+     * Maximum length of a frame in bytes (zero is unlimited)
+     * @type {number}
+     */
+    maxLength: 1024 * 1024,
+    /**
+     * Bytes of the stream that are already decoded
+     * @type {number}
+     */
+    offset: 0,
+    rest: null
+};
+/*jslint unparam: false*/
+
+/**
+ * Encode every message as netstring ("5:hello,")
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @memberOf streamLib.framing
+ * @constructor
+ * @augments {stream.Transform}
+ */
+framing.NetstringEncoder = function NetstringEncoder() {
+    Transform.apply(this, arguments);
+};
+/*jslint unparam: true*/
+framing.NetstringEncoder.prototype = {
+    '__proto__': Transform.prototype,
+    '_transform': function (chunk, encoding, next) {
+        chunk = toBuffer(chunk);
+        this.push(Buffer.concat([new Buffer(chunk.length + ':'), chunk, new Buffer(',')]));
+        next();
+    }
+};
+/*jslint unparam: false*/
+
+/**
+ * Decode a stream of netstrings
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @param {{}} [opts] - Options for the stream and the maxLength
+ * @memberOf streamLib.framing
+ * @constructor
+ * @augments {stream.Transform}
+ */
+framing.NetstringDecoder = function NetstringDecoder(opts) {
+    Transform.call(this, decoderOptions(opts));
+    assignOptions(this, opts, ['maxLength']);
+    this.rest = new Buffer(0);
+};
+/*jslint unparam: true*/
+framing.NetstringDecoder.prototype = {
+    '__proto__': Transform.prototype,
+    '_transform': function (chunk, encoding, next) {
+        var buffer = Buffer.concat([this.rest, toBuffer(chunk)]),
+            position = 0,
+            colon,
+            digits,
+            length;
+
+        while (position < buffer.length) {
+            colon = buffer.indexOf(':', position);
+            digits = buffer.slice(position, colon === -1 ? buffer.length : colon).toString();
+
+            if (!/^[0-9]*$/.test(digits)) {
+                return next(this.malformed(position, 'invalid length "' + digits + '"'));
+            }
+            if (digits.length > 1 && digits[0] === '0') {
+                return next(this.malformed(position, 'length "' + digits + '" with leading zero'));
+            }
+            if (colon === -1) {
+                if (digits.length > String(this.maxLength || Number.MAX_SAFE_INTEGER).length) {
+                    return next(this.malformed(position, 'length without colon'));
+                }
+                break;
+            }
+            if (!digits.length) {
+                return next(this.malformed(position, 'missing length'));
+            }
+
+            length = parseInt(digits, 10);
+            if (this.maxLength > 0 && length > this.maxLength) {
+                return next(this.malformed(position, 'length of ' + length + ' bytes exceeds the maximum length of ' +
+                    this.maxLength + ' bytes'));
+            }
+            if (buffer.length < colon + 1 + length + 1) {
+                break;
+            }
+            if (buffer[colon + 1 + length] !== 0x2c) {
+                return next(this.malformed(position, 'missing comma after ' + length + ' bytes'));
+            }
+            this.push(buffer.slice(colon + 1, colon + 1 + length));
+            position = colon + 1 + length + 1;
+        }
+
+        this.offset += position;
+        this.rest = buffer.slice(position);
+        next();
+    },
+    '_flush': function (next) {
+        if (this.rest.length) {
+            return next(this.malformed(0, 'incomplete at the end'));
+        }
+        next();
+    },
+
+    /**
+     * @private
+     * @param {number} position - Start of the netstring in the current buffer
+     * @param {string} reason
+     * @returns {Error}
+     */
+    malformed: function (position, reason) {
+        return new Error('Malformed netstring at byte offset ' + (this.offset + position) + ': ' + reason);
+    },
+
+    /**
+     * Maximum length of a frame in bytes (zero is unlimited)
+     * @type {number}
+     */
+    maxLength: 1024 * 1024,
+    /**
+     * Bytes of the stream that are already decoded
+     * @type {number}
+     */
+    offset: 0,
+    rest: null
+};
+/*jslint unparam: false*/
+
+/**
+ * Encode every message with Consistent Overhead Byte Stuffing, frames are terminated with a zero byte
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @memberOf streamLib.framing
+ * @constructor
+ * @augments {stream.Transform}
+ */
+framing.CobsEncoder = function CobsEncoder() {
+    Transform.apply(this, arguments);
+};
+/*jslint unparam: true*/
+framing.CobsEncoder.prototype = {
+    '__proto__': Transform.prototype,
+    '_transform': function (chunk, encoding, next) {
+        var result,
+            codeIndex = 0,
+            code = 1,
+            position = 1,
+            i;
+
+        chunk = toBuffer(chunk);
+        result = new Buffer(chunk.length + Math.ceil(chunk.length / 254) + 2);
+
+        for (i = 0; i < chunk.length; i += 1) {
+            if (chunk[i] === 0) {
+                result[codeIndex] = code;
+                codeIndex = position;
+                position += 1;
+                code = 1;
+            } else {
+                result[position] = chunk[i];
+                position += 1;
+                code += 1;
+                if (code === 0xff) {
+                    result[codeIndex] = code;
+                    codeIndex = position;
+                    position += 1;
+                    code = 1;
+                }
+            }
+        }
+        result[codeIndex] = code;
+        result[position] = 0;
+        this.push(result.slice(0, position + 1));
+        next();
+    }
+};
+/*jslint unparam: false*/
+
+/**
+ * Decode a stream of zero terminated COBS frames. Empty frames are skipped.
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @param {{}} [opts] - Options for the stream and the maxLength
+ * @memberOf streamLib.framing
+ * @constructor
+ * @augments {stream.Transform}
+ */
+framing.CobsDecoder = function CobsDecoder(opts) {
+    Transform.call(this, decoderOptions(opts));
+    assignOptions(this, opts, ['maxLength']);
+    this.rest = new Buffer(0);
+};
+/*jslint unparam: true*/
+framing.CobsDecoder.prototype = {
+    '__proto__': Transform.prototype,
+    '_transform': function (chunk, encoding, next) {
+        var buffer = Buffer.concat([this.rest, toBuffer(chunk)]),
+            start = 0,
+            end,
+            frame;
+
+        while ((end = buffer.indexOf(0, start)) !== -1) {
+            if (end > start) {
+                frame = this.decode(buffer.slice(start, end), start);
+                if (frame instanceof Error) {
+                    return next(frame);
+                }
+                this.push(frame);
+            }
+            start = end + 1;
+        }
+        if (this.maxLength > 0 && buffer.length - start > this.maxLength + Math.ceil(this.maxLength / 254) + 1) {
+            return next(new Error('COBS frame at byte offset ' + (this.offset + start) +
+                ' exceeds the maximum length of ' + this.maxLength + ' bytes'));
+        }
+
+        this.offset += start;
+        this.rest = buffer.slice(start);
+        next();
+    },
+    '_flush': function (next) {
+        if (this.rest.length) {
+            return next(new Error('Incomplete COBS frame at byte offset ' + this.offset + ', ' + this.rest.length +
+                ' bytes without terminating zero'));
+        }
+        next();
+    },
+
+    /**
+     * Decode a single frame without its terminating zero
+     * @private
+     * @param {Buffer} frame
+     * @param {number} start - Start of the frame in the current buffer
+     * @returns {Buffer|Error}
+     */
+    decode: function (frame, start) {
+        var result = new Buffer(frame.length),
+            length = 0,
+            position = 0,
+            code;
+
+        while (position < frame.length) {
+            code = frame[position];
+            if (position + code > frame.length) {
+                return new Error('Malformed COBS frame at byte offset ' + (this.offset + start) + ': code ' + code +
+                    ' at byte ' + position + ' exceeds the frame of ' + frame.length + ' bytes');
+            }
+            frame.copy(result, length, position + 1, position + code);
+            length += code - 1;
+            position += code;
+            if (code < 0xff && position < frame.length) {
+                result[length] = 0;
+                length += 1;
+            }
+        }
+        if (this.maxLength > 0 && length > this.maxLength) {
+            return new Error('COBS frame at byte offset ' + (this.offset + start) + ' exceeds the maximum length of ' +
+                this.maxLength + ' bytes');
+        }
+        return result.slice(0, length);
+    },
+
+    /**
+     * Maximum length of a decoded frame in bytes (zero is unlimited)
+     * @type {number}
+     */
+    maxLength: 1024 * 1024,
+    /**
+     * Bytes of the stream that are already decoded
+     * @type {number}
+     */
+    offset: 0,
+    rest: null
+};
+/*jslint unparam: false*/
+
+module.exports = framing;
@@ -3,6 +3,7 @@
 'use strict';
 
 var Transform = require('stream').Transform;
+var assignOptions = require('./options');
 
 
 /**
@@ -13,6 +14,8 @@ var Transform = require('stream').Transform;
  * @memberOf streamLib
  * @property {hex.Encoder} Encoder
  * @property {hex.Decoder} Decoder
+ * @property {hex.Dump} Dump
+ * @property {hex.Undump} Undump
  */
 var hex = {};
 
@@ -45,39 +48,348 @@ hex.Encoder.prototype = {
 /*jslint unparam: false*/
 
 /**
- * Decode a stream from a hex stream
+ * Decode a stream from a hex stream. In strict mode every character has to be a hex digit, only whitespace at the
+ * end (like a final line break) is allowed. In lenient mode whitespace, the separators ":", "-", ",", ";" and "." and
+ * "0x" prefixes are skipped. Invalid characters and a dangling nibble at the end emit an error.
  * @author Arne Schubert <atd.schubert@gmail.com>
+ * @param {{}} [opts] - Options for the decoder (mode)
  * @constructor
  * @memberOf streamLib.hex
  * @augments {stream.Transform}
  */
-hex.Decoder = function HexDecoder() {
+hex.Decoder = function HexDecoder(opts) {
     Transform.apply(this, arguments);
+    assignOptions(this, opts, ['mode']);
+
+    if (this.mode !== 'strict' && this.mode !== 'lenient') {
+        throw new Error('Unknown hex decoder mode: ' + this.mode);
+    }
     this.rest = '';
 };
 /*jslint unparam: true*/
 hex.Decoder.prototype = {
     '__proto__': Transform.prototype,
     '_transform': function (chunk, encoding, next) {
-        var hex,
-            i,
-            result;
+        var text = chunk.toString('latin1'),
+            hex = this.rest,
+            character,
+            i;
 
-        hex = this.rest + chunk.toString();
+        for (i = 0; i < text.length; i += 1) {
+            character = text[i];
+
+            if (/[0-9a-fA-F]/.test(character)) {
+                if (this.trailing) {
+                    return next(new Error('Invalid hex character "' + this.trailing.character + '" at byte offset ' +
+                        this.trailing.offset));
+                }
+                hex += character;
+                this.tokenDigits += 1;
+            } else if (this.mode === 'strict' && /\s/.test(character)) {
+                // Allowed if only whitespace follows
+                this.trailing = this.trailing || {character: character, offset: this.offset + i};
+            } else if (this.mode === 'lenient' && /[\s:\-,;.]/.test(character)) {
+                if (hex.length % 2) {
+                    return next(new Error('Odd number of hex digits before separator at byte offset ' +
+                        (this.offset + i)));
+                }
+                this.tokenDigits = 0;
+            } else if (this.mode === 'lenient' && (character === 'x' || character === 'X') &&
+                    this.tokenDigits === 1 && hex[hex.length - 1] === '0') {
+                hex = hex.substring(0, hex.length - 1);
+                this.tokenDigits = 0;
+            } else {
+                return next(new Error('Invalid hex character "' + character + '" at byte offset ' +
+                    (this.offset + i)));
+            }
+        }
+        this.offset += text.length;
 
         if (hex.length % 2) {
             this.rest = hex.substr(-1);
             hex = hex.substring(0, hex.length - 1);
+        } else {
+            this.rest = '';
         }
 
-        result = new Buffer(hex.length / 2);
+        this.push(new Buffer(hex, 'hex'));
+        next();
+    },
+    '_flush': function (next) {
+        if (this.rest) {
+            return next(new Error('Dangling hex nibble "' + this.rest + '" at the end of the stream'));
+        }
+        next();
+    },
+
+    /**
+     * Mode of the decoder: "strict" or "lenient"
+     * @type {string}
+     */
+    mode: 'strict',
+    /**
+     * Bytes of the stream that are already decoded
+     * @type {number}
+     */
+    offset: 0,
+    /**
+     * @private
+     */
+    tokenDigits: 0,
+    /**
+     * First whitespace in strict mode with its offset
+     * @private
+     */
+    trailing: null,
+    rest: ''
+};
+/*jslint unparam: false*/
+
+/**
+ * Format a stream as hex dump. The style "hexdump" is like `hexdump -C` with the offset, the bytes in groups of
+ * eight and an ASCII gutter between "|", followed by a line with the total length. The style "xxd" is like `xxd` with
+ * groups of two bytes. The offset continues across chunks, repeated lines are not squeezed.
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @param {{}} [opts] - Options for the dump (style, width, groupSize)
+ * @constructor
+ * @memberOf streamLib.hex
+ * @augments {stream.Transform}
+ */
+hex.Dump = function HexDump(opts) {
+    Transform.apply(this, arguments);
+    assignOptions(this, opts, ['style', 'width']);
 
-        for (i = 0; i < result.length; i += 1) {
-            result[i] = parseInt(hex.substr(i * 2, 2), 16);
+    if (this.style !== 'hexdump' && this.style !== 'xxd') {
+        throw new Error('Unknown hex dump style: ' + this.style);
+    }
+    this.groupSize = this.style === 'xxd' ? 2 : 8;
+    assignOptions(this, opts, ['groupSize']);
+    this.rest = new Buffer(0);
+};
+/*jslint unparam: true*/
+hex.Dump.prototype = {
+    '__proto__': Transform.prototype,
+    '_transform': function (chunk, encoding, next) {
+        var buffer = Buffer.concat([this.rest, chunk]),
+            result = '',
+            position;
+
+        for (position = 0; buffer.length - position >= this.width; position += this.width) {
+            result += this.formatLine(buffer.slice(position, position + this.width));
+        }
+        this.rest = buffer.slice(position);
+        if (result) {
+            this.push(result);
+        }
+        next();
+    },
+    '_flush': function (next) {
+        var result = '';
+
+        if (this.rest.length) {
+            result += this.formatLine(this.rest);
+        }
+        if (this.style === 'hexdump' && this.offset) {
+            result += this.formatOffset() + '\n';
+        }
+        if (result) {
+            this.push(result);
+        }
+        next();
+    },
+
+    /**
+     * @private
+     * @returns {string}
+     */
+    formatOffset: function () {
+        var offset = this.offset.toString(16);
+
+        return offset.length < 8 ? (new Array(9 - offset.length).join('0') + offset) : offset;
+    },
+    /**
+     * Format a line and move the offset
+     * @private
+     * @param {Buffer} bytes
+     * @returns {string}
+     */
+    formatLine: function (bytes) {
+        var groups = [],
+            group = [],
+            ascii = '',
+            columns,
+            i;
+
+        for (i = 0; i < this.width; i += 1) {
+            group.push(i < bytes.length ? (bytes[i] < 16 ? '0' : '') + bytes[i].toString(16) : '  ');
+            if (group.length === this.groupSize || i === this.width - 1) {
+                groups.push(group.join(this.style === 'xxd' ? '' : ' '));
+                group = [];
+            }
+            if (i < bytes.length) {
+                ascii += (bytes[i] >= 0x20 && bytes[i] <= 0x7e) ? String.fromCharCode(bytes[i]) : '.';
+            }
+        }
+        columns = groups.join(this.style === 'xxd' ? ' ' : '  ');
+
+        i = this.formatOffset();
+        this.offset += bytes.length;
+        if (this.style === 'xxd') {
+            return i + ': ' + columns + '  ' + ascii + '\n';
+        }
+        return i + '  ' + columns + '  |' + ascii + '|\n';
+    },
+
+    /**
+     * Style of the dump: "hexdump" or "xxd"
+     * @type {string}
+     */
+    style: 'hexdump',
+    /**
+     * Bytes per line
+     * @type {number}
+     */
+    width: 16,
+    /**
+     * Bytes per group, 8 for "hexdump" and 2 for "xxd"
+     * @type {number}
+     */
+    groupSize: 8,
+    /**
+     * Bytes of the stream that are already formatted
+     * @type {number}
+     */
+    offset: 0,
+    rest: null
+};
+/*jslint unparam: false*/
+
+/**
+ * Parse a hex dump of hex.Dump, `hexdump -C` or `xxd` back into bytes. Repeated lines marked with "*" are restored and
+ * the offsets are checked.
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @constructor
+ * @memberOf streamLib.hex
+ * @augments {stream.Transform}
+ */
+hex.Undump = function HexUndump() {
+    Transform.apply(this, arguments);
+    this.rest = '';
+};
+/*jslint unparam: true*/
+hex.Undump.prototype = {
+    '__proto__': Transform.prototype,
+    '_transform': function (chunk, encoding, next) {
+        var lines = (this.rest + chunk.toString('latin1')).split('\n'),
+            i,
+            err;
+
+        this.rest = lines.pop();
+        for (i = 0; i < lines.length; i += 1) {
+            err = this.parseLine(lines[i]);
+            if (err) {
+                return next(err);
+            }
         }
-        this.push(result);
         next();
     },
+    '_flush': function (next) {
+        var err = this.parseLine(this.rest);
+
+        this.rest = '';
+        if (!err && this.repeat) {
+            err = new Error('Missing offset after repeated lines in hex dump line ' + this.line);
+        }
+        next(err);
+    },
+
+    /**
+     * Parse a line of the dump
+     * @private
+     * @param {string} line
+     * @returns {Error|undefined}
+     */
+    parseLine: function (line) {
+        var match,
+            offset,
+            columns,
+            gutter,
+            bytes;
+
+        line = line.replace(/\r$/, '');
+        this.line += 1;
+        if (!line.trim()) {
+            return;
+        }
+        if (line.trim() === '*') {
+            this.repeat = true;
+            return;
+        }
+
+        match = /^([0-9a-fA-F]+):?(?:\s+(.*))?$/.exec(line);
+        if (!match) {
+            return this.error('missing offset');
+        }
+        offset = parseInt(match[1], 16);
+        columns = match[2] || '';
+
+        if (this.repeat && this.last && offset > this.offset && (offset - this.offset) % this.last.length === 0) {
+            while (this.offset < offset) {
+                this.push(this.last);
+                this.offset += this.last.length;
+            }
+        }
+        this.repeat = false;
+        if (offset !== this.offset) {
+            return this.error('offset ' + match[1] + ' does not match position ' + this.offset.toString(16));
+        }
+
+        gutter = columns.indexOf('  |');
+        if (gutter === -1) {
+            gutter = columns.indexOf('  ');
+        }
+        if (gutter !== -1) {
+            columns = columns.substring(0, gutter);
+        }
+        columns = columns.replace(/\s+/g, '');
+        if (!/^([0-9a-fA-F]{2})*$/.test(columns)) {
+            return this.error('invalid bytes "' + columns + '"');
+        }
+
+        if (columns.length) {
+            bytes = new Buffer(columns, 'hex');
+            this.push(bytes);
+            this.offset += bytes.length;
+            this.last = bytes;
+        }
+    },
+    /**
+     * @private
+     * @param {string} reason
+     * @returns {Error}
+     */
+    error: function (reason) {
+        return new Error('Invalid hex dump line ' + this.line + ': ' + reason);
+    },
+
+    /**
+     * Bytes of the stream that are already parsed
+     * @type {number}
+     */
+    offset: 0,
+    /**
+     * Lines of the dump that are already parsed
+     * @type {number}
+     */
+    line: 0,
+    /**
+     * @private
+     */
+    repeat: false,
+    /**
+     * @private
+     */
+    last: null,
     rest: ''
 };
 /*jslint unparam: false*/
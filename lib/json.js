@@ -0,0 +1,505 @@
+/*jslint node:true*/
+
+'use strict';
+
+var Transform = require('stream').Transform;
+
+/**
+ * Collection of incremental JSON streams
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @type {{}}
+ * @alias streamLib.json
+ * @memberOf streamLib
+ * @property {json.Tokenizer} Tokenizer
+ * @property {json.Select} Select
+ */
+var json = {};
+
+var escapes = {
+    '"': '"',
+    '\\': '\\',
+    '/': '/',
+    b: '\b',
+    f: '\f',
+    n: '\n',
+    r: '\r',
+    t: '\t'
+};
+
+/**
+ * Tokenize a JSON text stream without buffering the document. Tokens are send in object mode as objects with a type
+ * ("startObject", "endObject", "startArray", "endArray", "key", "string", "number", "boolean" or "null") and a value.
+ * Several documents may follow each other. Errors have the byte offset, line and column of the invalid character.
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @constructor
+ * @memberOf streamLib.json
+ * @augments {stream.Transform}
+ */
+json.Tokenizer = function Tokenizer() {
+    Transform.call(this, {readableObjectMode: true});
+
+    this.stack = [];
+    this.raw = [];
+};
+/*jslint unparam: true*/
+json.Tokenizer.prototype = {
+    '__proto__': Transform.prototype,
+    '_transform': function (chunk, encoding, next) {
+        var i,
+            err;
+
+        if (!Buffer.isBuffer(chunk)) {
+            chunk = new Buffer(String(chunk));
+        }
+        this.chunk = chunk;
+        this.rawStart = 0;
+
+        for (i = 0; i < chunk.length; i += 1) {
+            err = this.parseByte(chunk[i], i);
+            if (err) {
+                return next(err);
+            }
+            this.offset += 1;
+            if (chunk[i] === 0x0a) {
+                this.line += 1;
+                this.column = 1;
+            } else if ((chunk[i] & 0xc0) !== 0x80) {
+                this.column += 1;
+            }
+        }
+        if (this.token === 'string' && !this.escape) {
+            this.raw.push(chunk.slice(this.rawStart));
+        }
+        this.chunk = null;
+        next();
+    },
+    '_flush': function (next) {
+        var err;
+
+        if (this.token === 'number' || this.token === 'literal') {
+            err = this.finishToken();
+        }
+        if (!err && (this.token || this.stack.length)) {
+            err = this.error('Unexpected end of input');
+        }
+        next(err);
+    },
+
+    /**
+     * Parse a single byte
+     * @private
+     * @param {number} byte
+     * @param {number} index - Position in the current chunk
+     * @returns {Error|undefined}
+     */
+    parseByte: function (byte, index) {
+        var character = String.fromCharCode(byte),
+            err;
+
+        if (this.token === 'string') {
+            return this.parseString(byte, index);
+        }
+        if (this.token === 'number' || this.token === 'literal') {
+            if ((this.token === 'number' && /[0-9+\-.eE]/.test(character)) ||
+                    (this.token === 'literal' && /[a-z]/.test(character))) {
+                this.text += character;
+                return;
+            }
+            err = this.finishToken();
+            if (err) {
+                return err;
+            }
+        }
+
+        if (character === ' ' || character === '\t' || character === '\n' || character === '\r') {
+            return;
+        }
+
+        if (this.expect === 'colon') {
+            if (character !== ':') {
+                return this.unexpected(byte);
+            }
+            this.expect = 'value';
+        } else if (this.expect === 'commaOrEnd' && character === ',') {
+            this.expect = this.stack[this.stack.length - 1] === 'object' ? 'key' : 'value';
+        } else if (character === '}' && (this.expect === 'keyOrEnd' ||
+                (this.expect === 'commaOrEnd' && this.stack[this.stack.length - 1] === 'object'))) {
+            this.stack.pop();
+            this.sendToken('endObject', null);
+            this.valueEnded();
+        } else if (character === ']' && (this.expect === 'valueOrEnd' ||
+                (this.expect === 'commaOrEnd' && this.stack[this.stack.length - 1] === 'array'))) {
+            this.stack.pop();
+            this.sendToken('endArray', null);
+            this.valueEnded();
+        } else if (character === '"' && (this.expect === 'key' || this.expect === 'keyOrEnd')) {
+            this.startString(true, index);
+        } else if (this.expect !== 'value' && this.expect !== 'valueOrEnd') {
+            return this.unexpected(byte);
+        } else if (character === '{') {
+            this.stack.push('object');
+            this.sendToken('startObject', null);
+            this.expect = 'keyOrEnd';
+        } else if (character === '[') {
+            this.stack.push('array');
+            this.sendToken('startArray', null);
+            this.expect = 'valueOrEnd';
+        } else if (character === '"') {
+            this.startString(false, index);
+        } else if (character === '-' || (character >= '0' && character <= '9')) {
+            this.token = 'number';
+            this.text = character;
+        } else if (character === 't' || character === 'f' || character === 'n') {
+            this.token = 'literal';
+            this.text = character;
+        } else {
+            return this.unexpected(byte);
+        }
+    },
+    /**
+     * @private
+     * @param {boolean} isKey
+     * @param {number} index - Position of the quote in the current chunk
+     */
+    startString: function (isKey, index) {
+        this.token = 'string';
+        this.isKey = isKey;
+        this.parts = [];
+        this.raw = [];
+        this.rawStart = index + 1;
+    },
+    /**
+     * Parse a byte inside of a string
+     * @private
+     * @param {number} byte
+     * @param {number} index - Position in the current chunk
+     * @returns {Error|undefined}
+     */
+    parseString: function (byte, index) {
+        var character = String.fromCharCode(byte),
+            value;
+
+        if (this.escape === 'unicode') {
+            if (!/[0-9a-fA-F]/.test(character)) {
+                return this.unexpected(byte);
+            }
+            this.text += character;
+            if (this.text.length === 4) {
+                this.parts.push(String.fromCharCode(parseInt(this.text, 16)));
+                this.escape = null;
+                this.rawStart = index + 1;
+            }
+            return;
+        }
+        if (this.escape) {
+            if (character === 'u') {
+                this.escape = 'unicode';
+                this.text = '';
+                return;
+            }
+            if (!escapes.hasOwnProperty(character)) {
+                return this.unexpected(byte);
+            }
+            this.parts.push(escapes[character]);
+            this.escape = null;
+            this.rawStart = index + 1;
+            return;
+        }
+
+        if (character === '"' || character === '\\') {
+            this.raw.push(this.chunk.slice(this.rawStart, index));
+            this.parts.push(Buffer.concat(this.raw).toString('utf8'));
+            this.raw = [];
+            if (character === '\\') {
+                this.escape = 'character';
+                return;
+            }
+
+            value = this.parts.join('');
+            this.parts = null;
+            this.token = null;
+            if (this.isKey) {
+                this.sendToken('key', value);
+                this.expect = 'colon';
+            } else {
+                this.sendToken('string', value);
+                this.valueEnded();
+            }
+            return;
+        }
+        if (byte < 0x20) {
+            return this.error('Control character in string');
+        }
+    },
+    /**
+     * Send a finished number or literal
+     * @private
+     * @returns {Error|undefined}
+     */
+    finishToken: function () {
+        var text = this.text;
+
+        this.token = null;
+        this.text = '';
+        if (/^-?(0|[1-9][0-9]*)(\.[0-9]+)?([eE][+\-]?[0-9]+)?$/.test(text)) {
+            this.sendToken('number', parseFloat(text));
+        } else if (text === 'true' || text === 'false') {
+            this.sendToken('boolean', text === 'true');
+        } else if (text === 'null') {
+            this.sendToken('null', null);
+        } else {
+            return this.error('Invalid token "' + text + '"');
+        }
+        this.valueEnded();
+    },
+    /**
+     * @private
+     */
+    valueEnded: function () {
+        this.expect = this.stack.length ? 'commaOrEnd' : 'value';
+    },
+    /**
+     * @private
+     * @param {number} byte
+     * @returns {Error}
+     */
+    unexpected: function (byte) {
+        return this.error('Unexpected ' + (byte < 0x20 || byte > 0x7e ? 'byte 0x' + byte.toString(16) :
+                'character "' + String.fromCharCode(byte) + '"'));
+    },
+    /**
+     * Create an error with the position in the stream
+     * @private
+     * @param {string} message
+     * @returns {Error}
+     */
+    error: function (message) {
+        var err = new Error(message + ' at byte offset ' + this.offset + ', line ' + this.line + ', column ' +
+            this.column);
+
+        err.offset = this.offset;
+        err.line = this.line;
+        err.column = this.column;
+        return err;
+    },
+    /**
+     * Send a token, overwrite it to process the tokens in an inherited stream
+     * @param {string} type
+     * @param {*} value
+     */
+    sendToken: function (type, value) {
+        this.push({type: type, value: value});
+    },
+
+    /**
+     * Bytes of the stream that are already parsed
+     * @type {number}
+     */
+    offset: 0,
+    /**
+     * Current line in the stream
+     * @type {number}
+     */
+    line: 1,
+    /**
+     * Current column in the stream
+     * @type {number}
+     */
+    column: 1,
+    /**
+     * @private
+     */
+    expect: 'value',
+    /**
+     * @private
+     */
+    stack: null,
+    /**
+     * @private
+     */
+    token: null,
+    /**
+     * @private
+     */
+    text: '',
+    /**
+     * @private
+     */
+    escape: null,
+    /**
+     * @private
+     */
+    isKey: false,
+    /**
+     * @private
+     */
+    parts: null,
+    /**
+     * @private
+     */
+    raw: null,
+    /**
+     * @private
+     */
+    rawStart: 0,
+    /**
+     * @private
+     */
+    chunk: null
+};
+/*jslint unparam: false*/
+
+/**
+ * Parse a path like "rows.*" or "data.items[*].id" into segments
+ * @private
+ * @param {string} path
+ * @returns {Array}
+ */
+var parsePath = function (path) {
+    var segments = [],
+        pattern = /\[(\*|[0-9]+)\]|([^.\[\]]+)/g,
+        match;
+
+    path = path.replace(/^\$\.?/, '');
+    while ((match = pattern.exec(path)) !== null) {
+        if (match[1] !== undefined) {
+            segments.push(match[1] === '*' ? '*' : parseInt(match[1], 10));
+        } else {
+            segments.push(match[2]);
+        }
+    }
+    return segments;
+};
+
+/**
+ * Parse a JSON text stream and send the values matching a path in object mode. In the path "*" matches every key or
+ * index, "[n]" an index of an array, for example "rows.*" or "data.items[*].id". The matching values are build from
+ * the tokens, the rest of the document is not kept in memory. Null values are skipped.
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @param {string} path - Path of the values to select
+ * @constructor
+ * @memberOf streamLib.json
+ * @augments {streamLib.json.Tokenizer}
+ */
+json.Select = function Select(path) {
+    json.Tokenizer.call(this);
+
+    this.segments = parsePath(path || '');
+    this.frames = [];
+};
+json.Select.prototype = {
+    '__proto__': json.Tokenizer.prototype,
+
+    sendToken: function (type, value) {
+        var frame = this.frames[this.frames.length - 1],
+            isStart = type === 'startObject' || type === 'startArray';
+
+        if (this.building) {
+            return this.build(type, value);
+        }
+
+        if (type === 'key') {
+            frame.key = value;
+            return;
+        }
+        if (type === 'endObject' || type === 'endArray') {
+            this.frames.pop();
+            return;
+        }
+
+        if (frame && frame.type === 'array') {
+            frame.index += 1;
+        }
+        if (this.matches()) {
+            if (isStart) {
+                this.building = [];
+                return this.build(type, value);
+            }
+            if (value !== null) {
+                this.push(value);
+            }
+            return;
+        }
+        if (isStart) {
+            this.frames.push({type: type === 'startObject' ? 'object' : 'array', key: null, index: -1});
+        }
+    },
+
+    /**
+     * Check if the current value matches the path
+     * @private
+     * @returns {boolean}
+     */
+    matches: function () {
+        var i,
+            frame;
+
+        if (this.frames.length !== this.segments.length) {
+            return false;
+        }
+        for (i = 0; i < this.segments.length; i += 1) {
+            frame = this.frames[i];
+            if (this.segments[i] !== '*' && this.segments[i] !== (frame.type === 'object' ? frame.key : frame.index)) {
+                return false;
+            }
+        }
+        return true;
+    },
+    /**
+     * Add a token to the value that is build
+     * @private
+     * @param {string} type
+     * @param {*} value
+     */
+    build: function (type, value) {
+        var stack = this.building,
+            parent = stack[stack.length - 1];
+
+        if (type === 'key') {
+            this.buildKey = value;
+            return;
+        }
+        if (type === 'endObject' || type === 'endArray') {
+            value = stack.pop();
+            if (!stack.length) {
+                this.building = null;
+                this.push(value);
+            }
+            return;
+        }
+
+        if (type === 'startObject') {
+            value = {};
+        } else if (type === 'startArray') {
+            value = [];
+        }
+        if (Array.isArray(parent)) {
+            parent.push(value);
+        } else if (parent) {
+            parent[this.buildKey] = value;
+        }
+        if (type === 'startObject' || type === 'startArray') {
+            stack.push(value);
+        }
+    },
+
+    /**
+     * Segments of the path
+     * @type {Array}
+     */
+    segments: null,
+    /**
+     * @private
+     */
+    frames: null,
+    /**
+     * @private
+     */
+    building: null,
+    /**
+     * @private
+     */
+    buildKey: null
+};
+
+module.exports = json;
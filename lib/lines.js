@@ -0,0 +1,184 @@
+/*jslint node:true*/
+
+'use strict';
+
+var Transform = require('stream').Transform;
+var StringDecoder = require('string_decoder').StringDecoder;
+var assignOptions = require('./options');
+
+/**
+ * Split a text stream into lines. Every line is send as a string in object mode. Without a separator lines are split
+ * on "\n" and "\r\n", separators and multi-byte characters split across chunks are handled.
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @param {{}} [opts] - Options for the stream and the lines (separator, keepSeparator, maxLength, encoding)
+ * @constructor
+ * @memberOf streamLib
+ * @augments {stream.Transform}
+ */
+var Lines = function Lines(opts) {
+    var names = ['separator', 'keepSeparator', 'maxLength', 'encoding'],
+        streamOpts = {},
+        name;
+
+    if (opts && typeof opts === 'object') {
+        for (name in opts) {
+            if (opts.hasOwnProperty(name) && names.indexOf(name) === -1) {
+                streamOpts[name] = opts[name];
+            }
+        }
+    }
+    streamOpts.readableObjectMode = true;
+    Transform.call(this, streamOpts);
+    assignOptions(this, opts, names);
+
+    if (this.separator === '') {
+        throw new Error('Separator must not be empty');
+    }
+    this.decoder = new StringDecoder(this.encoding);
+};
+/*jslint unparam: true*/
+Lines.prototype = {
+    '__proto__': Transform.prototype,
+    '_transform': function (chunk, encoding, next) {
+        next(this.split(typeof chunk === 'string' ? chunk : this.decoder.write(chunk)));
+    },
+    '_flush': function (next) {
+        var err = this.split(this.decoder.end());
+
+        if (err) {
+            return next(err);
+        }
+        if (this.rest.length) {
+            this.lineNumber += 1;
+            err = this.sendLine(this.rest);
+            this.rest = '';
+        }
+        next(err);
+    },
+
+    /**
+     * Split text and keep the unfinished line
+     * @private
+     * @param {string} text
+     * @returns {Error|undefined}
+     */
+    split: function (text) {
+        var separator = this.separator || '\n',
+            buffer = this.rest + text,
+            search = Math.max(0, this.rest.length - separator.length + 1),
+            start = 0,
+            position,
+            end,
+            slack,
+            err;
+
+        while ((position = buffer.indexOf(separator, search)) !== -1) {
+            end = position;
+            if (!this.separator && end > start && buffer[end - 1] === '\r') {
+                end -= 1;
+            }
+            if (this.maxLength > 0 && end - start > this.maxLength) {
+                return this.tooLong();
+            }
+            this.lineNumber += 1;
+            err = this.sendLine(this.keepSeparator ? buffer.substring(start, position + separator.length) :
+                    buffer.substring(start, end));
+            if (err) {
+                return err;
+            }
+            start = position + separator.length;
+            search = start;
+        }
+
+        this.rest = buffer.substr(start);
+        if (this.separator) {
+            slack = separator.length - 1; // beginning of a separator
+        } else {
+            slack = this.rest[this.rest.length - 1] === '\r' ? 1 : 0;
+        }
+        if (this.maxLength > 0 && this.rest.length > this.maxLength + slack) {
+            return this.tooLong();
+        }
+    },
+    /**
+     * Send a line, overwrite it to process the lines in an inherited stream
+     * @param {string} line
+     * @returns {Error|undefined} An error fails the stream
+     */
+    sendLine: function (line) {
+        this.push(line);
+    },
+    /**
+     * @private
+     * @returns {Error}
+     */
+    tooLong: function () {
+        return new Error('Line ' + (this.lineNumber + 1) + ' exceeds the maximum length of ' + this.maxLength +
+            ' characters');
+    },
+
+    /**
+     * Separator of the lines (null splits on "\n" and "\r\n")
+     * @type {string|null}
+     */
+    separator: null,
+    /**
+     * Keep the separator at the end of the lines
+     * @type {boolean}
+     */
+    keepSeparator: false,
+    /**
+     * Maximum length of a line in characters (zero is unlimited)
+     * @type {number}
+     */
+    maxLength: 1024 * 1024,
+    /**
+     * Encoding of the text
+     * @type {string}
+     */
+    encoding: 'utf8',
+    /**
+     * Amount of lines send
+     * @type {number}
+     */
+    lineNumber: 0,
+    /**
+     * @private
+     */
+    rest: '',
+    /**
+     * @private
+     */
+    decoder: null
+};
+/*jslint unparam: false*/
+
+/**
+ * Join strings in object mode to a text stream, a separator is appended to every string
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @param {{}} [opts] - Options for the stream and the separator
+ * @constructor
+ * @memberOf streamLib.Lines
+ * @augments {stream.Transform}
+ */
+Lines.Joiner = function Joiner(opts) {
+    Transform.call(this, {writableObjectMode: true});
+    assignOptions(this, opts, ['separator']);
+};
+/*jslint unparam: true*/
+Lines.Joiner.prototype = {
+    '__proto__': Transform.prototype,
+    '_transform': function (chunk, encoding, next) {
+        this.push(String(chunk) + this.separator);
+        next();
+    },
+
+    /**
+     * Separator appended to every string
+     * @type {string}
+     */
+    separator: '\n'
+};
+/*jslint unparam: false*/
+
+module.exports = Lines;
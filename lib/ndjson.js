@@ -0,0 +1,133 @@
+/*jslint node:true*/
+
+'use strict';
+
+var Transform = require('stream').Transform;
+var Lines = require('./lines');
+var assignOptions = require('./options');
+
+/**
+ * Collection of newline delimited JSON (JSON Lines) streams
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @type {{}}
+ * @alias streamLib.ndjson
+ * @memberOf streamLib
+ * @property {ndjson.Parse} Parse
+ * @property {ndjson.Stringify} Stringify
+ */
+var ndjson = {};
+
+/**
+ * Parse a text stream with a JSON value per line into objects. Empty lines and null values are skipped. Invalid lines
+ * fail the stream, get skipped or emit an "invalid" event, depending on the invalid option.
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @param {{}} [opts] - Options for the stream, the lines and the parser (invalid, reviver)
+ * @memberOf streamLib.ndjson
+ * @constructor
+ * @augments {streamLib.Lines}
+ */
+ndjson.Parse = function Parse(opts) {
+    var names = ['invalid', 'reviver'],
+        linesOpts = {},
+        name;
+
+    if (opts && typeof opts === 'object') {
+        for (name in opts) {
+            if (opts.hasOwnProperty(name) && names.indexOf(name) === -1) {
+                linesOpts[name] = opts[name];
+            }
+        }
+    }
+    assignOptions(this, opts, names);
+
+    if (['fail', 'skip', 'emit'].indexOf(this.invalid) === -1) {
+        throw new Error('Unknown handling of invalid lines: ' + this.invalid);
+    }
+    Lines.call(this, linesOpts);
+};
+ndjson.Parse.prototype = {
+    '__proto__': Lines.prototype,
+
+    sendLine: function (line) {
+        var value;
+
+        if (!/\S/.test(line)) {
+            return;
+        }
+        try {
+            value = JSON.parse(line, this.reviver || undefined);
+        } catch (err) {
+            err.message = 'Invalid JSON in line ' + this.lineNumber + ': ' + err.message;
+            if (this.invalid === 'fail') {
+                return err;
+            }
+            if (this.invalid === 'emit') {
+                /**
+                 * A line with invalid JSON was skipped (error, line, lineNumber)
+                 * @event streamLib.ndjson.Parse#invalid
+                 * @type {Error}
+                 */
+                this.emit('invalid', err, line, this.lineNumber);
+            }
+            return;
+        }
+        if (value !== null) {
+            this.push(value);
+        }
+    },
+
+    /**
+     * Handling of invalid lines: "fail", "skip" or "emit"
+     * @type {string}
+     */
+    invalid: 'fail',
+    /**
+     * Reviver for JSON.parse
+     * @type {function|null}
+     */
+    reviver: null
+};
+
+/**
+ * Serialize objects to a text stream with a JSON value per line
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @param {{}} [opts] - Options for the serializer (replacer, separator)
+ * @memberOf streamLib.ndjson
+ * @constructor
+ * @augments {stream.Transform}
+ */
+ndjson.Stringify = function Stringify(opts) {
+    Transform.call(this, {writableObjectMode: true});
+    assignOptions(this, opts, ['replacer', 'separator']);
+};
+/*jslint unparam: true*/
+ndjson.Stringify.prototype = {
+    '__proto__': Transform.prototype,
+    '_transform': function (chunk, encoding, next) {
+        var json;
+
+        try {
+            json = JSON.stringify(chunk, this.replacer || undefined);
+        } catch (err) {
+            return next(err);
+        }
+        if (json !== undefined) {
+            this.push(json + this.separator);
+        }
+        next();
+    },
+
+    /**
+     * Replacer for JSON.stringify, a function or an array of property names
+     * @type {function|Array|null}
+     */
+    replacer: null,
+    /**
+     * Separator after every line
+     * @type {string}
+     */
+    separator: '\n'
+};
+/*jslint unparam: false*/
+
+module.exports = ndjson;
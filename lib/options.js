@@ -0,0 +1,26 @@
+/*jslint node:true*/
+
+'use strict';
+
+/**
+ * Copy the named options that are set onto a stream
+ * @private
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @param {{}} target - Stream to configure
+ * @param {{}} [opts] - Options given to the constructor
+ * @param {string[]} names - Names of the options to copy
+ */
+var assignOptions = function (target, opts, names) {
+    var i;
+
+    if (!opts || typeof opts !== 'object') {
+        return;
+    }
+    for (i = 0; i < names.length; i += 1) {
+        if (opts[names[i]] !== undefined) {
+            target[names[i]] = opts[names[i]];
+        }
+    }
+};
+
+module.exports = assignOptions;
@@ -3,6 +3,24 @@
 'use strict';
 
 var Transform = require('stream').Transform;
+var Writable = require('stream').Writable;
+var Readable = require('stream').Readable;
+var EventEmitter = require('events').EventEmitter;
+var crypto = require('crypto');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var assignOptions = require('./options');
+
+/**
+ * Size of a chunk in bytes
+ * @private
+ * @param {*} chunk
+ * @returns {number}
+ */
+var chunkBytes = function (chunk) {
+    return typeof chunk.length === 'number' ? chunk.length : 0;
+};
 
 /**
  * Just pipe the chunk to the next stream.
@@ -138,6 +156,289 @@ Pipe.Chain.prototype = {
     autoEnhance: true
 };
 
+/**
+ * Pipe two stages of a controlled chain
+ * @private
+ * @param {stream.Readable} previous
+ * @param {stream.Writable} next
+ */
+var linkStages = function (previous, next) {
+    if (!previous || !next) {
+        return;
+    }
+    previous.pipe(next);
+    if (previous instanceof Pipe.Chain) {
+        previous.nextChain = next;
+    }
+    if (next instanceof Pipe.Chain) {
+        next.previousChain = previous;
+    }
+};
+
+/**
+ * Unpipe two stages of a controlled chain. The previous stage pauses until it gets piped again.
+ * @private
+ * @param {stream.Readable} previous
+ * @param {stream.Writable} next
+ */
+var unlinkStages = function (previous, next) {
+    if (!previous || !next) {
+        return;
+    }
+    previous.unpipe(next);
+    previous.pause();
+    if (previous instanceof Pipe.Chain) {
+        previous.nextChain = null;
+    }
+    if (next instanceof Pipe.Chain) {
+        next.previousChain = null;
+    }
+};
+
+/**
+ * End a stage and wait until it has passed all of its chunks. The stage gets unpiped from the next stage and its
+ * remaining chunks are written into the next stage directly, even if they arrive after the timeout. Without a next
+ * stage the chunks are left to the readers of the stage.
+ * @private
+ * @param {stream.Duplex} stage
+ * @param {stream.Writable} [next] - Next stage in the chain
+ * @param {number} timeout - Milliseconds to wait (zero waits forever)
+ * @param {function} callback - Called with an error if the stage did not end in time
+ */
+var drainStage = function (stage, next, timeout, callback) {
+    var timer,
+        finished = false,
+        finish = function (err) {
+            if (finished) {
+                return;
+            }
+            finished = true;
+            clearTimeout(timer);
+            callback(err);
+        },
+        ended = function () {
+            if (next) {
+                stage.removeListener('data', forward);
+            }
+            finish();
+        },
+        forward = function (chunk) {
+            if (!next.write(chunk)) {
+                stage.pause();
+                next.once('drain', function () {
+                    stage.resume();
+                });
+            }
+        };
+
+    if (stage.readableEnded) {
+        return callback();
+    }
+    if (timeout > 0) {
+        timer = setTimeout(function () {
+            finish(new Error('Stage did not drain within ' + timeout + ' milliseconds'));
+        }, timeout);
+    }
+    stage.on('end', ended);
+    if (next) {
+        stage.unpipe(next);
+        stage.on('data', forward);
+        stage.resume(); // unpipe pauses the stage
+    }
+    stage.end();
+};
+
+/**
+ * Control the stages of a live chain. You can insert, remove and replace stages by index without losing chunks.
+ * The changes get executed one after another and emit a "rewired" event.
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @param {stream.Duplex[]} [stages] - Stages to build the chain from
+ * @param {{drainTimeout: number}} [opts] - Options for the controller
+ * @constructor
+ * @memberOf streamLib.Pipe.Chain
+ * @augments {events.EventEmitter}
+ */
+Pipe.Chain.Controller = function (stages, opts) {
+    EventEmitter.call(this);
+    assignOptions(this, opts, ['drainTimeout']);
+
+    this.stages = [];
+    this.tasks = [];
+
+    if (stages) {
+        this.build(stages);
+    }
+};
+Pipe.Chain.Controller.prototype = {
+    '__proto__': EventEmitter.prototype,
+
+    /**
+     * Append stages to the chain
+     * @param {stream.Duplex[]} stages
+     * @param {function} [callback] - Called when the stages are appended
+     * @returns {Pipe.Chain.Controller}
+     */
+    build: function (stages, callback) {
+        return this.schedule(function (done) {
+            var index = this.stages.length,
+                i;
+
+            for (i = 0; i < stages.length; i += 1) {
+                linkStages(this.stages[this.stages.length - 1], stages[i]);
+                this.stages.push(stages[i]);
+            }
+
+            done(null, {action: 'build', index: index, stage: null});
+        }, callback);
+    },
+    /**
+     * Insert a stage at an index
+     * @param {number} index
+     * @param {stream.Duplex} stage
+     * @param {function} [callback] - Called when the stage is inserted
+     * @returns {Pipe.Chain.Controller}
+     */
+    insert: function (index, stage, callback) {
+        return this.schedule(function (done) {
+            var previous,
+                next;
+
+            if (index < 0 || index > this.stages.length) {
+                return done(new Error('Can not insert a stage at index ' + index));
+            }
+            previous = this.stages[index - 1];
+            next = this.stages[index];
+
+            unlinkStages(previous, next);
+            this.stages.splice(index, 0, stage);
+            linkStages(stage, next);
+            linkStages(previous, stage);
+
+            done(null, {action: 'insert', index: index, stage: stage});
+        }, callback);
+    },
+    /**
+     * Remove the stage at an index after it has passed all of its chunks
+     * @param {number} index
+     * @param {function} [callback] - Called with the removed stage
+     * @returns {Pipe.Chain.Controller}
+     */
+    remove: function (index, callback) {
+        return this.replace(index, null, callback);
+    },
+    /**
+     * Replace the stage at an index after it has passed all of its chunks
+     * @param {number} index
+     * @param {stream.Duplex|null} stage - New stage or null to remove the stage
+     * @param {function} [callback] - Called with the replaced stage
+     * @returns {Pipe.Chain.Controller}
+     */
+    replace: function (index, stage, callback) {
+        return this.schedule(function (done) {
+            var self = this,
+                previous = this.stages[index - 1],
+                old = this.stages[index],
+                next = this.stages[index + 1];
+
+            if (!old) {
+                return done(new Error('There is no stage at index ' + index));
+            }
+
+            unlinkStages(previous, old);
+
+            drainStage(old, next, this.drainTimeout, function (err) {
+                if (err) {
+                    // The stage is already ended, so the chain continues without it
+                    self.stages.splice(index, 1);
+                    linkStages(previous, next);
+                    return done(err);
+                }
+                unlinkStages(old, next);
+
+                if (stage) {
+                    self.stages.splice(index, 1, stage);
+                    linkStages(stage, next);
+                    linkStages(previous, stage);
+                } else {
+                    self.stages.splice(index, 1);
+                    linkStages(previous, next);
+                }
+
+                done(null, {action: stage ? 'replace' : 'remove', index: index, stage: stage, removed: old});
+            });
+        }, function (err, change) {
+            if (callback) {
+                callback(err, change && change.removed);
+            }
+        });
+    },
+    /**
+     * Get the stage at an index
+     * @param {number} index
+     * @returns {stream.Duplex|undefined}
+     */
+    get: function (index) {
+        return this.stages[index];
+    },
+    /**
+     * Queue a change of the chain
+     * @private
+     * @param {function} task - Change with a done callback
+     * @param {function} [callback]
+     * @returns {Pipe.Chain.Controller}
+     */
+    schedule: function (task, callback) {
+        var self = this,
+            run = function () {
+                task.call(self, function (err, change) {
+                    self.tasks.shift();
+                    if (err) {
+                        if (callback) {
+                            callback(err);
+                        } else {
+                            self.emit('error', err);
+                        }
+                    } else {
+                        /**
+                         * The chain was changed
+                         * @event streamLib.Pipe.Chain.Controller#rewired
+                         * @type {{action: string, index: number, stage: stream.Duplex}}
+                         */
+                        self.emit('rewired', change);
+                        if (callback) {
+                            callback(null, change);
+                        }
+                    }
+                    if (self.tasks.length) {
+                        self.tasks[0]();
+                    }
+                });
+            };
+
+        this.tasks.push(run);
+        if (this.tasks.length === 1) {
+            run();
+        }
+        return this;
+    },
+
+    /**
+     * Milliseconds a removed or replaced stage may take to drain before the change fails, the stage gets removed
+     * anyway and its late chunks still pass to the next stage (zero waits forever)
+     * @type {number}
+     */
+    drainTimeout: 5000,
+    /**
+     * Stages of the chain in order
+     * @type {stream.Duplex[]}
+     */
+    stages: [],
+    /**
+     * @private
+     */
+    tasks: []
+};
+
 /**
  * Pipe with delay
  * @author Arne Schubert <atd.schubert@gmail.com>
@@ -166,6 +467,208 @@ Pipe.Delay.prototype = {
      */
     delay: 0
 };
+
+/**
+ * Limit the rate of a stream with a token bucket. Buffer chunks larger than the burst size get split.
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @param {{}} [opts] - Options for the stream and the limits (bytesPerSecond, chunksPerSecond, burst, chunkBurst)
+ * @constructor
+ * @memberOf streamLib.Pipe
+ * @augments {stream.Transform}
+ */
+Pipe.Throttle = function (opts) {
+    Transform.apply(this, arguments);
+
+    if (opts) {
+        this.setLimits(opts);
+    }
+};
+
+/**
+ * Push as many pending pieces as the buckets allow and wait for the rest
+ * @private
+ */
+var throttlePump = function () {
+    var piece,
+        bytes,
+        waitBytes,
+        waitChunks,
+        next;
+
+    this.timeout = null;
+    if (!this.pending) {
+        return;
+    }
+    this.refill();
+
+    while (this.pending.pieces.length) {
+        piece = this.pending.pieces[0];
+        bytes = Buffer.isBuffer(piece) ? piece.length : (typeof piece === 'string' ? Buffer.byteLength(piece) : 0);
+
+        // A piece bigger than the bucket (e.g. after lowering the burst) only waits for a full bucket
+        waitBytes = this.bytesPerSecond > 0 ?
+                (Math.min(bytes, this.getByteCapacity()) - this.byteTokens) / this.bytesPerSecond * 1000 : 0;
+        waitChunks = this.chunksPerSecond > 0 ? (1 - this.chunkTokens) / this.chunksPerSecond * 1000 : 0;
+
+        if (waitBytes > 0 || waitChunks > 0) {
+            this.timeout = setTimeout(throttlePump.bind(this), Math.ceil(Math.max(waitBytes, waitChunks)));
+            return;
+        }
+
+        // An unlimited bucket stays full, so raising its limit later starts without debt
+        if (this.bytesPerSecond > 0) {
+            this.byteTokens -= bytes;
+        }
+        if (this.chunksPerSecond > 0) {
+            this.chunkTokens -= 1;
+        }
+        this.push(this.pending.pieces.shift());
+    }
+
+    next = this.pending.next;
+    this.pending = null;
+    next();
+};
+
+/*jslint unparam: true*/
+Pipe.Throttle.prototype = {
+    '__proto__': Transform.prototype,
+
+    '_transform': function (chunk, encoding, next) {
+        var pieces = [],
+            size = this.getByteCapacity(),
+            i;
+
+        if (Buffer.isBuffer(chunk) && this.bytesPerSecond > 0 && chunk.length > size) {
+            for (i = 0; i < chunk.length; i += size) {
+                pieces.push(chunk.slice(i, i + size));
+            }
+        } else {
+            pieces.push(chunk);
+        }
+
+        this.pending = {pieces: pieces, next: next};
+        throttlePump.apply(this);
+    },
+    '_destroy': function (err, callback) {
+        clearTimeout(this.timeout);
+        this.timeout = null;
+        this.pending = null;
+        callback(err);
+    },
+
+    /**
+     * Size of the byte bucket
+     * @returns {number}
+     */
+    getByteCapacity: function () {
+        return Math.max(1, Math.floor(this.burst || this.bytesPerSecond));
+    },
+    /**
+     * Size of the chunk bucket
+     * @returns {number}
+     */
+    getChunkCapacity: function () {
+        return Math.max(1, this.chunkBurst || this.chunksPerSecond);
+    },
+    /**
+     * Refill the buckets by the time elapsed since the last refill
+     * @private
+     * @returns {Pipe.Throttle}
+     */
+    refill: function () {
+        var now = Date.now(),
+            elapsed = this.lastRefill === null ? 0 : now - this.lastRefill;
+
+        if (this.byteTokens === null) {
+            this.byteTokens = this.getByteCapacity();
+        }
+        if (this.chunkTokens === null) {
+            this.chunkTokens = this.getChunkCapacity();
+        }
+
+        this.byteTokens = Math.min(this.getByteCapacity(), this.byteTokens + elapsed * this.bytesPerSecond / 1000);
+        this.chunkTokens = Math.min(this.getChunkCapacity(), this.chunkTokens + elapsed * this.chunksPerSecond / 1000);
+        this.lastRefill = now;
+        return this;
+    },
+    /**
+     * Change the limits, even while chunks are waiting
+     * @param {{bytesPerSecond: number, chunksPerSecond: number, burst: number, chunkBurst: number}} limits
+     * @returns {Pipe.Throttle}
+     */
+    setLimits: function (limits) {
+        var names = ['bytesPerSecond', 'chunksPerSecond', 'burst', 'chunkBurst'],
+            wasUnlimitedBytes = !(this.bytesPerSecond > 0),
+            wasUnlimitedChunks = !(this.chunksPerSecond > 0),
+            i;
+
+        if (this.lastRefill !== null) {
+            this.refill();
+        }
+        for (i = 0; i < names.length; i += 1) {
+            if (typeof limits[names[i]] === 'number') {
+                this[names[i]] = limits[names[i]];
+            }
+        }
+
+        if (wasUnlimitedBytes && this.bytesPerSecond > 0 && this.byteTokens !== null) {
+            this.byteTokens = this.getByteCapacity();
+        }
+        if (wasUnlimitedChunks && this.chunksPerSecond > 0 && this.chunkTokens !== null) {
+            this.chunkTokens = this.getChunkCapacity();
+        }
+
+        if (this.timeout) {
+            clearTimeout(this.timeout);
+            throttlePump.apply(this);
+        }
+        return this;
+    },
+
+    /**
+     * Maximum bytes per second (zero is unlimited)
+     * @type {number}
+     */
+    bytesPerSecond: 0,
+    /**
+     * Maximum chunks per second (zero is unlimited)
+     * @type {number}
+     */
+    chunksPerSecond: 0,
+    /**
+     * Maximum bytes in a burst (zero uses bytesPerSecond)
+     * @type {number}
+     */
+    burst: 0,
+    /**
+     * Maximum chunks in a burst (zero uses chunksPerSecond)
+     * @type {number}
+     */
+    chunkBurst: 0,
+    /**
+     * @private
+     */
+    byteTokens: null,
+    /**
+     * @private
+     */
+    chunkTokens: null,
+    /**
+     * @private
+     */
+    lastRefill: null,
+    /**
+     * @private
+     */
+    pending: null,
+    /**
+     * @private
+     */
+    timeout: null
+};
+/*jslint unparam: false*/
+
 /**
  * Make a stream async with process.nextTick
  * @author Arne Schubert <atd.schubert@gmail.com>
@@ -190,14 +693,17 @@ Pipe.Async.prototype = {
 };
 
 /**
- * Give the possibility to ignore incoming chunks (unpiped data will be lost)
+ * Give the possibility to ignore incoming chunks (unpiped data will be lost). Besides locking, the tap can sample
+ * every nth chunk, a random rate of chunks or drop chunks by a predicate. Dropped chunks get counted.
  * @author Arne Schubert <atd.schubert@gmail.com>
+ * @param {{}} [opts] - Options for the stream and the tap (sampleEvery, sampleRate, predicate)
  * @constructor
  * @memberOf streamLib.Pipe
  * @augments streamLib.Pipe
  */
-Pipe.Tap = function () {
+Pipe.Tap = function (opts) {
     Pipe.apply(this, arguments);
+    assignOptions(this, opts, ['sampleEvery', 'sampleRate', 'predicate']);
 };
 
 /*jslint unparam: true*/
@@ -205,57 +711,81 @@ Pipe.Tap.prototype = {
     '__proto__': Pipe.prototype,
 
     '_transform': function (chunk, encoding, next) {
-        if (this.locked) {
+        if (this.shouldDrop(chunk)) {
+            this.droppedChunks += 1;
+            this.droppedBytes += chunkBytes(chunk);
+            /**
+             * A chunk was dropped (chunk, droppedChunks, droppedBytes)
+             * @event streamLib.Pipe.Tap#dropped
+             * @type {*}
+             */
+            this.emit('dropped', chunk, this.droppedChunks, this.droppedBytes);
             return next();
         }
 
         /*jslint nomen: true*/
         return Pipe.prototype._transform.apply(this, arguments);
     },
-    locked: false,
 
-    lock: function () {
-        this.locked = true;
-        return this;
-    },
-    unlock: function () {
-        this.locked = false;
-        return this;
-    },
-    toggle: function () {
+    /**
+     * Should a chunk be dropped?
+     * @param {*} chunk
+     * @returns {boolean}
+     */
+    shouldDrop: function (chunk) {
         if (this.locked) {
-            return this.unlock();
+            return true;
         }
-        return this.lock();
-    }
-};
-/*jslint unparam: false*/
-
-/**
- * Give the possibility to stop flowing incoming chunks (stopping will block the stream)
- * @author Arne Schubert <atd.schubert@gmail.com>
- * @constructor
- * @memberOf streamLib.Pipe
- * @augments streamLib.Pipe
- */
-Pipe.Gate = function () {
-    Pipe.apply(this, arguments);
-};
-Pipe.Gate.prototype = {
-    '__proto__': Pipe.prototype,
-
-    '_transform': function () {
-        if (this.locked) {
-            this.lastArguments = arguments;
-            return;
+        if (this.predicate && this.predicate(chunk)) {
+            return true;
         }
-        this.lastArguments = null;
-
-        /*jslint nomen: true*/
-        return Pipe.prototype._transform.apply(this, arguments);
+        if (this.sampleEvery > 1) {
+            this.sampleCounter += 1;
+            if (this.sampleCounter % this.sampleEvery !== 0) {
+                return true;
+            }
+        }
+        return this.sampleRate < 1 && Math.random() >= this.sampleRate;
+    },
+    /**
+     * Reset the counters of dropped chunks and bytes
+     * @returns {Pipe.Tap}
+     */
+    resetCounters: function () {
+        this.droppedChunks = 0;
+        this.droppedBytes = 0;
+        return this;
     },
 
-    lastArguments: null,
+    /**
+     * Only let every nth chunk pass
+     * @type {number}
+     */
+    sampleEvery: 1,
+    /**
+     * Rate of chunks that pass by random (0 to 1)
+     * @type {number}
+     */
+    sampleRate: 1,
+    /**
+     * Drop chunks if this function returns true
+     * @type {function|null}
+     */
+    predicate: null,
+    /**
+     * Amount of dropped chunks
+     * @type {number}
+     */
+    droppedChunks: 0,
+    /**
+     * Amount of dropped bytes
+     * @type {number}
+     */
+    droppedBytes: 0,
+    /**
+     * @private
+     */
+    sampleCounter: 0,
     locked: false,
 
     lock: function () {
@@ -264,11 +794,6 @@ Pipe.Gate.prototype = {
     },
     unlock: function () {
         this.locked = false;
-        if (this.lastArguments) {
-            /*jslint nomen: true*/
-            this._transform.apply(this, this.lastArguments);
-            /*jslint nomen: false*/
-        }
         return this;
     },
     toggle: function () {
@@ -278,43 +803,307 @@ Pipe.Gate.prototype = {
         return this.lock();
     }
 };
+/*jslint unparam: false*/
 
 /**
- * Keep track of piped chunks and disallow chunks from passing this stream twice
+ * Give the possibility to stop flowing incoming chunks. A locked gate holds the chunks in a queue bounded by
+ * maxChunks and maxBytes. The policy decides what happens to a full queue: "block" the stream, "drop-oldest",
+ * "drop-newest" or emit an "error".
  * @author Arne Schubert <atd.schubert@gmail.com>
+ * @param {{}} [opts] - Options for the stream and the queue (maxChunks, maxBytes, policy)
  * @constructor
  * @memberOf streamLib.Pipe
  * @augments streamLib.Pipe
  */
-Pipe.Once = function () {
+Pipe.Gate = function (opts) {
     Pipe.apply(this, arguments);
-    this.knownChunks = [];
+    assignOptions(this, opts, ['maxChunks', 'maxBytes', 'policy']);
+
+    if (['block', 'drop-oldest', 'drop-newest', 'error'].indexOf(this.policy) === -1) {
+        throw new Error('Unknown gate policy: ' + this.policy);
+    }
+    this.queue = [];
 };
 
 /*jslint unparam: true*/
-Pipe.Once.prototype = {
+Pipe.Gate.prototype = {
     '__proto__': Pipe.prototype,
 
     '_transform': function (chunk, encoding, next) {
+        var dropped;
 
-        if (this.knownChunks.indexOf(chunk) !== -1) {
-            if (this.freeing) {
-                this.knownChunks.splice(this.knownChunks.indexOf(chunk), 1);
-            }
+        this.queue.push(chunk);
+        this.queuedBytes += chunkBytes(chunk);
+        this.flushQueue();
+
+        if (!this.isOverflowing()) {
             return next();
         }
-        this.knownChunks.push(chunk);
 
-        /*jslint nomen: true*/
-        Pipe.prototype._transform.apply(this, arguments);
-        /*jslint nomen: false*/
-    },
+        switch (this.policy) {
+        case 'drop-oldest':
+            while (this.isOverflowing() && this.queue.length > 1) {
+                this.drop(this.queue.shift());
+            }
+            return next();
+        case 'drop-newest':
+            dropped = this.queue.pop();
+            this.drop(dropped);
+            return next();
+        case 'error':
+            this.queuedBytes -= chunkBytes(this.queue.pop());
+            return next(new Error('Gate queue overflow, the queue is limited to ' + this.maxChunks + ' chunks and ' +
+                this.maxBytes + ' bytes'));
+        default:
+            this.pendingNext = next; // Block until there is space in the queue
+        }
+    },
+    '_flush': function (next) {
+        this.flushNext = next;
+        this.flushQueue();
+    },
+
+    /**
+     * Send queued chunks as long as the gate is unlocked or chunks are released
+     * @returns {Pipe.Gate}
+     */
+    flushQueue: function () {
+        var chunk,
+            next;
+
+        while (this.queue.length && (!this.locked || this.releasable > 0)) {
+            if (this.locked) {
+                this.releasable -= 1;
+            }
+            chunk = this.queue.shift();
+            this.queuedBytes -= chunkBytes(chunk);
+            this.push(chunk);
+        }
+
+        if (this.pendingNext && !this.isOverflowing()) {
+            next = this.pendingNext;
+            this.pendingNext = null;
+            next();
+        }
+        if (this.flushNext && !this.queue.length) {
+            next = this.flushNext;
+            this.flushNext = null;
+            next();
+        }
+        return this;
+    },
+    /**
+     * Is the queue over its limits?
+     * @returns {boolean}
+     */
+    isOverflowing: function () {
+        return (this.maxChunks > 0 && this.queue.length > this.maxChunks) ||
+            (this.maxBytes > 0 && this.queuedBytes > this.maxBytes);
+    },
+    /**
+     * @private
+     * @param {*} chunk
+     */
+    drop: function (chunk) {
+        this.queuedBytes -= chunkBytes(chunk);
+        /**
+         * A chunk was dropped from the full queue
+         * @event streamLib.Pipe.Gate#drop
+         * @type {*}
+         */
+        this.emit('drop', chunk);
+    },
 
     /**
-     * Array of known chunks
+     * Maximum amount of queued chunks (zero is unlimited)
+     * @type {number}
+     */
+    maxChunks: 16,
+    /**
+     * Maximum amount of queued bytes (zero is unlimited)
+     * @type {number}
+     */
+    maxBytes: 0,
+    /**
+     * Policy for a full queue: "block", "drop-oldest", "drop-newest" or "error"
+     * @type {string}
+     */
+    policy: 'block',
+    /**
+     * Chunks held by the locked gate
      * @type {Array}
      */
-    knownChunks: [],
+    queue: [],
+    /**
+     * @private
+     */
+    queuedBytes: 0,
+    /**
+     * @private
+     */
+    releasable: 0,
+    /**
+     * @private
+     */
+    pendingNext: null,
+    /**
+     * @private
+     */
+    flushNext: null,
+    locked: false,
+
+    lock: function () {
+        this.locked = true;
+        this.releasable = 0;
+        return this;
+    },
+    unlock: function () {
+        this.locked = false;
+        this.releasable = 0;
+        return this.flushQueue();
+    },
+    toggle: function () {
+        if (this.locked) {
+            return this.unlock();
+        }
+        return this.lock();
+    },
+    /**
+     * Let a number of queued chunks pass the locked gate, chunks that are not queued yet stay locked
+     * @param {number} [n=1] - Amount of chunks
+     * @returns {Pipe.Gate}
+     */
+    release: function (n) {
+        if (!this.locked) {
+            return this;
+        }
+        this.releasable = Math.min(this.queue.length, this.releasable + (n === undefined ? 1 : n));
+        return this.flushQueue();
+    }
+};
+/*jslint unparam: false*/
+
+/**
+ * Keep track of piped chunks and disallow chunks from passing this stream twice. Chunks are compared by the key
+ * function, by identity as default or by a hash of their content with the key "content".
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @param {{}} [opts] - Options for the stream and the store (key, hashAlgorithm, maxSize, ttl, freeing)
+ * @constructor
+ * @memberOf streamLib.Pipe
+ * @augments streamLib.Pipe
+ */
+Pipe.Once = function (opts) {
+    Pipe.apply(this, arguments);
+    assignOptions(this, opts, ['key', 'hashAlgorithm', 'maxSize', 'ttl', 'freeing']);
+
+    this.knownChunks = new Map();
+};
+
+/*jslint unparam: true*/
+Pipe.Once.prototype = {
+    '__proto__': Pipe.prototype,
+
+    '_transform': function (chunk, encoding, next) {
+        var key = this.getKey(chunk),
+            now = Date.now(),
+            timestamp;
+
+        this.evictExpired(now);
+        timestamp = this.knownChunks.get(key);
+        if (timestamp !== undefined && this.ttl > 0 && now - timestamp >= this.ttl) {
+            this.knownChunks.delete(key);
+            timestamp = undefined;
+        }
+
+        if (timestamp !== undefined) {
+            this.knownChunks.delete(key);
+            if (!this.freeing) {
+                this.knownChunks.set(key, timestamp); // most recently used
+            }
+            /**
+             * A chunk was dropped as duplicate (chunk, key)
+             * @event streamLib.Pipe.Once#duplicate
+             * @type {*}
+             */
+            this.emit('duplicate', chunk, key);
+            return next();
+        }
+
+        this.knownChunks.set(key, now);
+        while (this.maxSize > 0 && this.knownChunks.size > this.maxSize) {
+            this.knownChunks.delete(this.knownChunks.keys().next().value);
+        }
+
+        /*jslint nomen: true*/
+        Pipe.prototype._transform.apply(this, arguments);
+        /*jslint nomen: false*/
+    },
+
+    /**
+     * Get the key of a chunk
+     * @param {*} chunk
+     * @returns {*}
+     */
+    getKey: function (chunk) {
+        if (typeof this.key === 'function') {
+            return this.key(chunk);
+        }
+        if (this.key === 'content' && (Buffer.isBuffer(chunk) || typeof chunk === 'string')) {
+            return crypto.createHash(this.hashAlgorithm).update(chunk).digest('hex');
+        }
+        return chunk;
+    },
+    /**
+     * Remove expired keys from the least recently used until a key is still fresh
+     * @private
+     * @param {number} now
+     */
+    evictExpired: function (now) {
+        var entry,
+            iterator;
+
+        if (!(this.ttl > 0)) {
+            return;
+        }
+        iterator = this.knownChunks.entries();
+        for (entry = iterator.next(); !entry.done && now - entry.value[1] >= this.ttl; entry = iterator.next()) {
+            this.knownChunks.delete(entry.value[0]);
+        }
+    },
+    /**
+     * Forget all known chunks
+     * @returns {Pipe.Once}
+     */
+    clear: function () {
+        this.knownChunks.clear();
+        return this;
+    },
+
+    /**
+     * Key function for chunks or "content" for a hash of buffers and strings (null compares the identity)
+     * @type {function|string|null}
+     */
+    key: null,
+    /**
+     * Hash algorithm for the key "content"
+     * @type {string}
+     */
+    hashAlgorithm: 'sha1',
+    /**
+     * Maximum amount of known keys, the least recently used gets evicted (zero is unlimited)
+     * @type {number}
+     */
+    maxSize: 0,
+    /**
+     * Time to live of a known key in milliseconds (zero is forever)
+     * @type {number}
+     */
+    ttl: 0,
+    /**
+     * Known keys with the timestamp of their first appearance
+     * @type {Map}
+     */
+    knownChunks: null,
     /**
      * Should the pipe remove the chunks from known list that passes the stream twice?
      * @type {boolean}
@@ -375,6 +1164,2558 @@ Pipe.ObjectMode.prototype = {
     objectMode: true
 };
 
+/**
+ * Group chunks into batches. A batch is send when it reaches maxCount chunks, maxBytes bytes or is older than
+ * maxWait milliseconds. In object mode a batch is an array, otherwise a concatenated buffer.
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @param {{}} [opts] - Options for the stream and the limits (maxCount, maxBytes, maxWait)
+ * @constructor
+ * @memberOf streamLib.Pipe
+ * @augments {stream.Transform}
+ */
+Pipe.Batch = function (opts) {
+    Transform.apply(this, arguments);
+
+    if (opts && opts.objectMode) {
+        this.objectMode = true;
+    }
+    assignOptions(this, opts, ['maxCount', 'maxBytes', 'maxWait']);
+
+    this.batch = [];
+};
+/*jslint unparam: true*/
+Pipe.Batch.prototype = {
+    '__proto__': Transform.prototype,
+
+    '_transform': function (chunk, encoding, next) {
+        this.batch.push(chunk);
+        if (typeof chunk.length === 'number') {
+            this.batchBytes += chunk.length;
+        }
+
+        if ((this.maxCount > 0 && this.batch.length >= this.maxCount) ||
+                (this.maxBytes > 0 && this.batchBytes >= this.maxBytes)) {
+            this.flushBatch();
+        } else if (this.maxWait > 0 && !this.timeout) {
+            this.timeout = setTimeout(this.flushBatch.bind(this), this.maxWait);
+        }
+        return next();
+    },
+    '_flush': function (next) {
+        this.flushBatch();
+        return next();
+    },
+    '_destroy': function (err, callback) {
+        clearTimeout(this.timeout);
+        this.timeout = null;
+        this.batch = [];
+        this.batchBytes = 0;
+        callback(err);
+    },
+
+    /**
+     * Send the current batch, even if no limit is reached
+     * @returns {Pipe.Batch}
+     */
+    flushBatch: function () {
+        var batch = this.batch;
+
+        if (this.timeout) {
+            clearTimeout(this.timeout);
+            this.timeout = null;
+        }
+        if (!batch.length) {
+            return this;
+        }
+
+        this.batch = [];
+        this.batchBytes = 0;
+
+        if (this.objectMode) {
+            this.push(batch);
+        } else {
+            this.push(Buffer.concat(batch));
+        }
+        return this;
+    },
+
+    /**
+     * Maximum amount of chunks in a batch (zero is unlimited)
+     * @type {number}
+     */
+    maxCount: 0,
+    /**
+     * Maximum amount of bytes in a batch (zero is unlimited)
+     * @type {number}
+     */
+    maxBytes: 0,
+    /**
+     * Maximum age of a batch in milliseconds (zero is unlimited)
+     * @type {number}
+     */
+    maxWait: 0,
+    /**
+     * Chunks of the current batch
+     * @type {Array}
+     */
+    batch: [],
+    /**
+     * @private
+     */
+    batchBytes: 0,
+    /**
+     * @private
+     */
+    timeout: null,
+    objectMode: false
+};
+/*jslint unparam: false*/
+
+/**
+ * Split arrays, for example from a batch, into single chunks
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @constructor
+ * @memberOf streamLib.Pipe
+ * @augments streamLib.Pipe.ObjectMode
+ */
+Pipe.Unbatch = function () {
+    Pipe.ObjectMode.apply(this, arguments);
+};
+/*jslint unparam: true*/
+Pipe.Unbatch.prototype = {
+    '__proto__': Pipe.ObjectMode.prototype,
+
+    '_transform': function (chunk, encoding, next) {
+        var i;
+
+        if (!Array.isArray(chunk)) {
+            /*jslint nomen: true*/
+            return Pipe.prototype._transform.apply(this, arguments);
+            /*jslint nomen: false*/
+        }
+        for (i = 0; i < chunk.length; i += 1) {
+            if (chunk[i] !== null && chunk[i] !== undefined) { // would end the stream
+                this.push(chunk[i]);
+            }
+        }
+        return next();
+    }
+};
+/*jslint unparam: false*/
+
+/**
+ * Fan a stream out to multiple destinations. Every destination gets its own branch with a policy for slow consumers:
+ * "block" the whole tee, "buffer" up to a size and then block, "drop-oldest" or "drop-newest" chunks.
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @constructor
+ * @memberOf streamLib.Pipe
+ * @augments {stream.Writable}
+ */
+Pipe.Tee = function () {
+    Writable.apply(this, arguments);
+
+    this.branches = [];
+
+    this.on('finish', function () {
+        var i;
+        for (i = 0; i < this.branches.length; i += 1) {
+            this.branches[i].end();
+        }
+    });
+};
+
+/**
+ * Call the pending write callback if no branch blocks anymore
+ * @private
+ */
+var teeRelease = function () {
+    var next = this.pendingNext;
+
+    if (next && !this.isBlocked()) {
+        this.pendingNext = null;
+        next();
+    }
+};
+
+/*jslint unparam: true*/
+Pipe.Tee.prototype = {
+    '__proto__': Writable.prototype,
+
+    '_write': function (chunk, encoding, next) {
+        var i;
+
+        for (i = 0; i < this.branches.length; i += 1) {
+            this.branches[i].offer(chunk);
+        }
+
+        this.pendingNext = next;
+        teeRelease.apply(this);
+    },
+
+    /**
+     * Attach a destination to this tee
+     * @param {stream.Writable|stream.Duplex|stream.Transform} destination - Destination stream
+     * @param {{policy: string, size: number, end: boolean}} [opts] - Options for the branch
+     * @returns {streamLib.Pipe.Tee.Branch}
+     */
+    attach: function (destination, opts) {
+        var self = this,
+            branch = new Pipe.Tee.Branch(destination, opts);
+
+        branch.on('drain', function () {
+            teeRelease.apply(self);
+        });
+        branch.on('drop', function (chunk, dropped) {
+            /**
+             * A branch dropped a chunk (destination, chunk, dropped)
+             * @event streamLib.Pipe.Tee#drop
+             * @type {*}
+             */
+            self.emit('drop', destination, chunk, dropped);
+        });
+
+        this.branches.push(branch);
+        return branch;
+    },
+    /**
+     * Detach a destination from this tee. Buffered chunks of its branch get lost.
+     * @param {stream.Writable|stream.Duplex|stream.Transform} destination - Destination stream
+     * @returns {Pipe.Tee}
+     */
+    detach: function (destination) {
+        var i;
+
+        for (i = 0; i < this.branches.length; i += 1) {
+            if (this.branches[i].destination === destination) {
+                this.branches[i].release();
+                this.branches.splice(i, 1);
+                break;
+            }
+        }
+        teeRelease.apply(this);
+        return this;
+    },
+    /**
+     * Is any branch blocking the tee?
+     * @returns {boolean}
+     */
+    isBlocked: function () {
+        var i;
+
+        for (i = 0; i < this.branches.length; i += 1) {
+            if (this.branches[i].isBlocking()) {
+                return true;
+            }
+        }
+        return false;
+    },
+
+    /**
+     * @type {streamLib.Pipe.Tee.Branch[]}
+     */
+    branches: [],
+    /**
+     * @private
+     */
+    pendingNext: null
+};
+/*jslint unparam: false*/
+
+/**
+ * A branch of a tee that writes into a destination stream
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @param {stream.Writable|stream.Duplex|stream.Transform} destination - Destination stream
+ * @param {{policy: string, size: number, end: boolean}} [opts] - Options for the branch
+ * @constructor
+ * @memberOf streamLib.Pipe.Tee
+ * @augments {events.EventEmitter}
+ */
+Pipe.Tee.Branch = function (destination, opts) {
+    var self = this;
+
+    EventEmitter.call(this);
+    assignOptions(this, opts, ['policy', 'size']);
+
+    if (['block', 'buffer', 'drop-oldest', 'drop-newest'].indexOf(this.policy) === -1) {
+        throw new Error('Unknown tee policy: ' + this.policy);
+    }
+    if (opts && opts.end === false) {
+        this.endDestination = false;
+    }
+
+    this.destination = destination;
+    this.queue = [];
+    this.onDrain = function () {
+        self.waiting = false;
+        self.flush();
+        self.emit('drain');
+    };
+};
+Pipe.Tee.Branch.prototype = {
+    '__proto__': EventEmitter.prototype,
+
+    /**
+     * Offer a chunk to this branch
+     * @param {*} chunk
+     * @returns {Pipe.Tee.Branch}
+     */
+    offer: function (chunk) {
+        if (this.waiting && this.queue.length >= this.getLimit()) {
+            if (this.policy === 'drop-newest') {
+                return this.drop(chunk);
+            }
+            if (this.policy === 'drop-oldest') {
+                this.drop(this.queue.shift());
+            }
+        }
+        this.queue.push(chunk);
+        return this.flush();
+    },
+    /**
+     * Write queued chunks into the destination until it wants us to wait
+     * @returns {Pipe.Tee.Branch}
+     */
+    flush: function () {
+        while (this.queue.length && !this.waiting) {
+            if (!this.destination.write(this.queue.shift())) {
+                this.waiting = true;
+                this.destination.once('drain', this.onDrain);
+            }
+        }
+        if (this.ending && !this.queue.length && this.endDestination) {
+            this.ending = false;
+            this.destination.end();
+        }
+        return this;
+    },
+    /**
+     * End the destination when all queued chunks are written
+     * @returns {Pipe.Tee.Branch}
+     */
+    end: function () {
+        this.ending = true;
+        return this.flush();
+    },
+    /**
+     * Stop writing into the destination and forget queued chunks
+     * @returns {Pipe.Tee.Branch}
+     */
+    release: function () {
+        this.destination.removeListener('drain', this.onDrain);
+        this.queue = [];
+        this.waiting = false;
+        return this;
+    },
+    /**
+     * Amount of chunks that can be queued before blocking or dropping
+     * @returns {number}
+     */
+    getLimit: function () {
+        if (this.policy === 'block') {
+            return 0;
+        }
+        return Math.max(1, this.size);
+    },
+    /**
+     * Does this branch block the tee?
+     * @returns {boolean}
+     */
+    isBlocking: function () {
+        return (this.policy === 'block' || this.policy === 'buffer') && this.waiting &&
+            this.queue.length >= this.getLimit();
+    },
+    /**
+     * @private
+     * @param {*} chunk
+     * @returns {Pipe.Tee.Branch}
+     */
+    drop: function (chunk) {
+        this.dropped += 1;
+        /**
+         * A chunk was dropped (chunk, dropped)
+         * @event streamLib.Pipe.Tee.Branch#drop
+         * @type {*}
+         */
+        this.emit('drop', chunk, this.dropped);
+        return this;
+    },
+
+    /**
+     * Policy for a slow destination: "block", "buffer", "drop-oldest" or "drop-newest"
+     * @type {string}
+     */
+    policy: 'block',
+    /**
+     * Size of the queue for the policies "buffer", "drop-oldest" and "drop-newest"
+     * @type {number}
+     */
+    size: 16,
+    /**
+     * Amount of dropped chunks
+     * @type {number}
+     */
+    dropped: 0,
+    /**
+     * End the destination when the tee finishes?
+     * @type {boolean}
+     */
+    endDestination: true,
+    /**
+     * @type {stream.Writable|stream.Duplex|stream.Transform}
+     */
+    destination: null,
+    /**
+     * @private
+     */
+    queue: [],
+    /**
+     * @private
+     */
+    waiting: false,
+    /**
+     * @private
+     */
+    ending: false
+};
+
+/**
+ * Route chunks to named outputs. Every route has a predicate and the routes are tested in the order they were added.
+ * Chunks without any matching route go to the unmatched output. A slow output stops the router only when the
+ * current chunk was routed to it.
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @param {{}} [opts] - Options for the stream, its outputs and the mode ("first" or "all")
+ * @constructor
+ * @memberOf streamLib.Pipe
+ * @augments {stream.Writable}
+ */
+Pipe.Router = function (opts) {
+    Writable.apply(this, arguments);
+    assignOptions(this, opts, ['mode']);
+
+    this.outputOptions = {};
+    assignOptions(this.outputOptions, opts, ['objectMode', 'highWaterMark']);
+    this.routes = [];
+    this.outputs = {};
+    this.blocked = [];
+    this.unmatched = new Pipe.Router.Output(this, this.outputOptions);
+
+    this.on('finish', function () {
+        var name;
+
+        for (name in this.outputs) {
+            if (this.outputs.hasOwnProperty(name)) {
+                this.outputs[name].push(null);
+            }
+        }
+        this.unmatched.push(null);
+    });
+};
+
+/**
+ * Call the pending write callback if no output of the last chunk is full anymore
+ * @private
+ */
+var routerRelease = function () {
+    var next = this.pendingNext;
+
+    if (next && !this.blocked.length) {
+        this.pendingNext = null;
+        next();
+    }
+};
+
+/*jslint unparam: true*/
+Pipe.Router.prototype = {
+    '__proto__': Writable.prototype,
+
+    '_write': function (chunk, encoding, next) {
+        var targets = this.match(chunk),
+            i;
+
+        for (i = 0; i < targets.length; i += 1) {
+            if (!targets[i].push(chunk) && this.blocked.indexOf(targets[i]) === -1) {
+                this.blocked.push(targets[i]);
+            }
+        }
+
+        this.pendingNext = next;
+        routerRelease.apply(this);
+    },
+
+    /**
+     * Add a route to a named output
+     * @param {string} name - Name of the output (routes can share an output)
+     * @param {function|RegExp|{test: function}} predicate - Test for chunks on this route
+     * @returns {streamLib.Pipe.Router.Output}
+     */
+    route: function (name, predicate) {
+        if (typeof predicate === 'function') {
+            predicate = {test: predicate};
+        }
+        if (!this.outputs.hasOwnProperty(name)) {
+            this.outputs[name] = new Pipe.Router.Output(this, this.outputOptions);
+        }
+
+        this.routes.push({name: name, predicate: predicate});
+        return this.outputs[name];
+    },
+    /**
+     * Get an output by name
+     * @param {string} name - Name of the output
+     * @returns {streamLib.Pipe.Router.Output|undefined}
+     */
+    getOutput: function (name) {
+        return this.outputs[name];
+    },
+    /**
+     * Get the outputs for a chunk
+     * @param {*} chunk
+     * @returns {streamLib.Pipe.Router.Output[]}
+     */
+    match: function (chunk) {
+        var result = [],
+            output,
+            i;
+
+        for (i = 0; i < this.routes.length; i += 1) {
+            output = this.outputs[this.routes[i].name];
+            if (result.indexOf(output) === -1 && this.routes[i].predicate.test(chunk)) {
+                result.push(output);
+                if (this.mode === 'first') {
+                    break;
+                }
+            }
+        }
+
+        if (!result.length) {
+            result.push(this.unmatched);
+        }
+        return result;
+    },
+
+    /**
+     * Deliver a chunk to the "first" matching route or to "all" matching routes
+     * @type {string}
+     */
+    mode: 'first',
+    /**
+     * Output for chunks without a matching route
+     * @type {streamLib.Pipe.Router.Output}
+     */
+    unmatched: null,
+    /**
+     * Named outputs
+     * @type {{}}
+     */
+    outputs: {},
+    /**
+     * @private
+     */
+    routes: [],
+    /**
+     * @private
+     */
+    blocked: [],
+    /**
+     * @private
+     */
+    pendingNext: null,
+    /**
+     * @private
+     */
+    outputOptions: null
+};
+/*jslint unparam: false*/
+
+/**
+ * An output of a router
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @param {streamLib.Pipe.Router} router - Router of this output
+ * @param {{}} [opts] - Options for the stream
+ * @constructor
+ * @memberOf streamLib.Pipe.Router
+ * @augments {stream.Readable}
+ */
+Pipe.Router.Output = function (router, opts) {
+    Readable.call(this, opts);
+    this.router = router;
+};
+Pipe.Router.Output.prototype = {
+    '__proto__': Readable.prototype,
+
+    '_read': function () {
+        var index = this.router.blocked.indexOf(this);
+
+        if (index !== -1) {
+            this.router.blocked.splice(index, 1);
+            routerRelease.apply(this.router);
+        }
+    },
+
+    /**
+     * @type {streamLib.Pipe.Router}
+     */
+    router: null
+};
+
+/**
+ * Input of a stream with multiple inputs. It reads a single chunk from its source when the owner asks for it.
+ * @private
+ * @param {stream.Readable} owner - Stream with multiple inputs
+ * @param {stream.Readable} source - Source of this inlet
+ * @constructor
+ */
+var Inlet = function (owner, source) {
+    var self = this;
+
+    this.owner = owner;
+    this.source = source;
+
+    this.onReadable = function () {
+        owner.pump();
+    };
+    this.onEnd = function () {
+        self.finished = true;
+        owner.pump();
+    };
+
+    source.on('readable', this.onReadable);
+    source.on('end', this.onEnd);
+
+    if (source.readableEnded) {
+        this.finished = true;
+    }
+};
+Inlet.prototype = {
+    /**
+     * Is a chunk available?
+     * @returns {boolean}
+     */
+    hasChunk: function () {
+        var chunk;
+
+        if (!this.holding && !this.finished) {
+            chunk = this.source.read();
+            if (chunk !== null) {
+                this.chunk = chunk;
+                this.holding = true;
+            }
+        }
+        return this.holding;
+    },
+    /**
+     * Are all chunks of the source taken?
+     * @returns {boolean}
+     */
+    isDone: function () {
+        return this.finished && !this.holding;
+    },
+    /**
+     * Get the available chunk without taking it
+     * @returns {*}
+     */
+    peek: function () {
+        return this.chunk;
+    },
+    /**
+     * Take the available chunk
+     * @returns {*}
+     */
+    take: function () {
+        var chunk = this.chunk;
+
+        this.chunk = null;
+        this.holding = false;
+        return chunk;
+    },
+    /**
+     * Stop reading from the source and drop the held chunk
+     */
+    close: function () {
+        this.source.removeListener('readable', this.onReadable);
+        this.source.removeListener('end', this.onEnd);
+        this.take();
+        this.finished = true;
+    },
+
+    owner: null,
+    source: null,
+    chunk: null,
+    holding: false,
+    finished: false,
+    priority: 0
+};
+
+/**
+ * Redirect sources that get piped into a stream with multiple inputs into their own inlets. The source is not piped
+ * anymore, so its unpipe method gets enhanced to remove the inlet, like unpiping from a hopper.
+ * @private
+ * @param {stream.Readable} owner - Stream with multiple inputs
+ */
+var trackInlets = function (owner) {
+    owner.inlets = [];
+    owner.on('pipe', function (source) {
+        var unpipe = source.unpipe,
+            detach = function (destination) {
+                if (destination === undefined || destination === owner) {
+                    if (source.unpipe === detach) {
+                        source.unpipe = unpipe;
+                    }
+                    owner.remove(source);
+                }
+                return unpipe.apply(this, arguments);
+            };
+
+        source.unpipe(owner);
+        owner.add(source);
+        source.unpipe = detach;
+
+        // pipe resumes the source after this event, but the inlet reads it in paused mode
+        process.nextTick(function () {
+            source.pause();
+        });
+    });
+};
+
+/**
+ * Add a source to a stream with multiple inputs
+ * @private
+ * @param {stream.Readable} source - Source stream
+ * @returns {Inlet}
+ */
+var addInlet = function (source) {
+    var inlet = new Inlet(this, source);
+
+    this.inlets.push(inlet);
+    this.pump();
+    return inlet;
+};
+
+/**
+ * Remove a source from a stream with multiple inputs
+ * @private
+ * @param {stream.Readable} source - Source stream
+ */
+var removeInlet = function (source) {
+    var i;
+
+    for (i = 0; i < this.inlets.length; i += 1) {
+        if (this.inlets[i].source === source) {
+            this.inlets[i].close();
+        }
+    }
+    this.pump();
+};
+
+/**
+ * Merge multiple streams with an ordering strategy: "round-robin", "priority" or a sorted merge by "key". Pipe
+ * sources into the merge or add them with options. Like a hopper it ends when all sources end.
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @param {{}} [opts] - Options for the stream and the strategy (strategy, key, compare)
+ * @constructor
+ * @memberOf streamLib.Pipe
+ * @augments {stream.Readable}
+ */
+Pipe.Merge = function (opts) {
+    Readable.apply(this, arguments);
+    assignOptions(this, opts, ['strategy', 'key', 'compare']);
+
+    if (['round-robin', 'priority', 'key'].indexOf(this.strategy) === -1) {
+        throw new Error('Unknown merge strategy: ' + this.strategy);
+    }
+    trackInlets(this);
+};
+Pipe.Merge.prototype = {
+    '__proto__': Readable.prototype,
+
+    '_read': function () {
+        this.reading = true;
+        this.pump();
+    },
+
+    /**
+     * Add a source
+     * @param {stream.Readable} source - Source stream
+     * @param {{priority: number}} [opts] - Options for this source
+     * @returns {Pipe.Merge}
+     */
+    add: function (source, opts) {
+        assignOptions(addInlet.call(this, source), opts, ['priority']);
+        return this;
+    },
+    /**
+     * Remove a source
+     * @param {stream.Readable} source - Source stream
+     * @returns {Pipe.Merge}
+     */
+    remove: function (source) {
+        removeInlet.call(this, source);
+        return this;
+    },
+    /**
+     * Change the priority of a source (higher values first)
+     * @param {stream.Readable} source - Source stream
+     * @param {number} priority
+     * @returns {Pipe.Merge}
+     */
+    setPriority: function (source, priority) {
+        var i;
+
+        for (i = 0; i < this.inlets.length; i += 1) {
+            if (this.inlets[i].source === source) {
+                this.inlets[i].priority = priority;
+            }
+        }
+        return this;
+    },
+    /**
+     * Select the inlet for the next chunk by strategy
+     * @private
+     * @returns {Inlet|null}
+     */
+    select: function () {
+        var selected = null,
+            inlet,
+            i;
+
+        for (i = 0; i < this.inlets.length; i += 1) {
+            inlet = this.inlets[(this.cursor + i) % this.inlets.length];
+
+            if (this.strategy === 'key' && !inlet.hasChunk() && !inlet.finished) {
+                return null; // A sorted merge needs a chunk of every open source
+            }
+            if (inlet.hasChunk()) {
+                if (this.strategy === 'round-robin') {
+                    this.cursor = (this.cursor + i + 1) % this.inlets.length;
+                    return inlet;
+                }
+                if (!selected ||
+                        (this.strategy === 'priority' && inlet.priority > selected.priority) ||
+                        (this.strategy === 'key' &&
+                            this.compare(this.key(inlet.peek()), this.key(selected.peek())) < 0)) {
+                    selected = inlet;
+                }
+            }
+        }
+        return selected;
+    },
+    /**
+     * Push chunks as long as they are wanted
+     * @private
+     */
+    pump: function () {
+        var inlet,
+            i;
+
+        if (this.pumping || this.ended) {
+            return;
+        }
+        this.pumping = true;
+
+        while (this.reading) {
+            inlet = this.select();
+            if (!inlet) {
+                break;
+            }
+            this.reading = this.push(inlet.take());
+        }
+        this.pumping = false;
+
+        for (i = 0; i < this.inlets.length; i += 1) {
+            if (!this.inlets[i].isDone()) {
+                return;
+            }
+        }
+        if (this.inlets.length) {
+            this.ended = true;
+            this.push(null);
+        }
+    },
+
+    /**
+     * Ordering strategy: "round-robin", "priority" or "key"
+     * @type {string}
+     */
+    strategy: 'round-robin',
+    /**
+     * Extract the key of a chunk for the strategy "key"
+     * @param {*} chunk
+     * @returns {*}
+     */
+    key: function (chunk) {
+        return chunk;
+    },
+    /**
+     * Compare two keys for the strategy "key"
+     * @param {*} a
+     * @param {*} b
+     * @returns {number}
+     */
+    compare: function (a, b) {
+        if (a < b) {
+            return -1;
+        }
+        return a > b ? 1 : 0;
+    },
+    /**
+     * @private
+     */
+    inlets: [],
+    /**
+     * @private
+     */
+    cursor: 0,
+    /**
+     * @private
+     */
+    reading: false,
+    /**
+     * @private
+     */
+    pumping: false,
+    /**
+     * @private
+     */
+    ended: false
+};
+
+/**
+ * Zip multiple streams chunk by chunk into arrays. Pipe sources into the zip or add them in the order of the tuple.
+ * The mode decides what happens if a source ends before the others: stop at the "shortest", fill up to the
+ * "longest" or emit an error if it is "strict".
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @param {{}} [opts] - Options for the mode and the fill value
+ * @constructor
+ * @memberOf streamLib.Pipe
+ * @augments {stream.Readable}
+ */
+Pipe.Zip = function (opts) {
+    Readable.call(this, {objectMode: true});
+    assignOptions(this, opts, ['mode', 'fill']);
+
+    if (['shortest', 'longest', 'strict'].indexOf(this.mode) === -1) {
+        throw new Error('Unknown zip mode: ' + this.mode);
+    }
+    trackInlets(this);
+};
+Pipe.Zip.prototype = {
+    '__proto__': Readable.prototype,
+
+    '_read': function () {
+        this.reading = true;
+        this.pump();
+    },
+
+    /**
+     * Add a source as next element of the tuples
+     * @param {stream.Readable} source - Source stream
+     * @returns {Pipe.Zip}
+     */
+    add: function (source) {
+        addInlet.call(this, source);
+        return this;
+    },
+    /**
+     * Remove a source, it counts as ended
+     * @param {stream.Readable} source - Source stream
+     * @returns {Pipe.Zip}
+     */
+    remove: function (source) {
+        removeInlet.call(this, source);
+        return this;
+    },
+    /**
+     * Push tuples as long as they are wanted
+     * @private
+     */
+    pump: function () {
+        var tuple,
+            ready,
+            done,
+            i;
+
+        if (this.pumping || this.ended || !this.inlets.length) {
+            return;
+        }
+        this.pumping = true;
+
+        while (this.reading) {
+            ready = true;
+            done = 0;
+            for (i = 0; i < this.inlets.length; i += 1) {
+                if (!this.inlets[i].hasChunk()) {
+                    if (this.inlets[i].finished) {
+                        done += 1;
+                    } else {
+                        ready = false;
+                    }
+                }
+            }
+
+            if (done === this.inlets.length) {
+                this.finish();
+                break;
+            }
+            if (done && this.mode === 'shortest') {
+                this.finish();
+                break;
+            }
+            if (!ready) {
+                break;
+            }
+            if (done && this.mode === 'strict') {
+                this.finish(new Error('Zip sources differ in length, ' + done + ' of ' + this.inlets.length +
+                    ' sources ended'));
+                break;
+            }
+
+            tuple = [];
+            for (i = 0; i < this.inlets.length; i += 1) {
+                tuple.push(this.inlets[i].isDone() ? this.fill : this.inlets[i].take());
+            }
+            this.reading = this.push(tuple);
+        }
+        this.pumping = false;
+    },
+    /**
+     * Stop reading the sources and end the stream, or fail it with an error
+     * @private
+     * @param {Error} [err] - Error to fail with
+     */
+    finish: function (err) {
+        var i;
+
+        this.ended = true;
+        for (i = 0; i < this.inlets.length; i += 1) {
+            this.inlets[i].close();
+        }
+        if (err) {
+            return this.destroy(err);
+        }
+        this.push(null);
+    },
+
+    /**
+     * Behaviour when a source ends before the others: "shortest", "longest" or "strict"
+     * @type {string}
+     */
+    mode: 'shortest',
+    /**
+     * Value for ended sources in the mode "longest"
+     * @type {*}
+     */
+    fill: null,
+    /**
+     * @private
+     */
+    inlets: [],
+    /**
+     * @private
+     */
+    reading: false,
+    /**
+     * @private
+     */
+    pumping: false,
+    /**
+     * @private
+     */
+    ended: false
+};
+
+/**
+ * Call a transform function that reports with a callback or a promise, but only once
+ * @private
+ * @param {function} fn - Transform function
+ * @param {*} chunk
+ * @param {function} callback - Gets an error or the result
+ */
+var callTransform = function (fn, chunk, callback) {
+    var called = false,
+        once = function (err, result) {
+            if (!called) {
+                called = true;
+                callback(err, result);
+            }
+        },
+        promise;
+
+    try {
+        promise = fn(chunk, once);
+    } catch (err) {
+        return once(err);
+    }
+    if (promise && typeof promise.then === 'function') {
+        promise.then(function (result) {
+            once(null, result);
+        }, function (err) {
+            once(err || new Error('Transform rejected'));
+        });
+    }
+};
+
+/**
+ * Wrap an asynchronous transform function and retry failed chunks with an exponential backoff. Chunks that still
+ * fail are send to the dead letter stream instead of raising an error.
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @param {function} fn - Transform function with the chunk and a callback, or returning a promise
+ * @param {{}} [opts] - Options for the stream and the retries (retries, minDelay, maxDelay, factor, jitter, unordered)
+ * @constructor
+ * @memberOf streamLib.Pipe
+ * @augments {stream.Transform}
+ */
+Pipe.Retry = function (fn, opts) {
+    Transform.call(this, opts);
+    assignOptions(this, opts, ['retries', 'minDelay', 'maxDelay', 'factor', 'jitter', 'unordered']);
+
+    this.fn = fn;
+    this.pendingChunks = 0;
+    this.deadLetter = new Readable({objectMode: true});
+    /*jslint nomen: true*/
+    this.deadLetter._read = function () {
+        return true;
+    };
+    /*jslint nomen: false*/
+};
+/*jslint unparam: true*/
+Pipe.Retry.prototype = {
+    '__proto__': Transform.prototype,
+
+    '_transform': function (chunk, encoding, next) {
+        var self = this;
+
+        this.pendingChunks += 1;
+        this.attempt(chunk, 1, function (err, result) {
+            self.pendingChunks -= 1;
+            if (err) {
+                self.deadLetter.push({chunk: chunk, error: err});
+            } else if (result !== undefined && result !== null) {
+                self.push(result);
+            }
+            if (!self.unordered) {
+                next();
+            }
+            if (!self.pendingChunks && self.flushNext) {
+                self.flushNext();
+            }
+        }, this.unordered ? next : null);
+    },
+    '_flush': function (next) {
+        var self = this;
+
+        this.flushNext = function () {
+            self.flushNext = null;
+            self.deadLetter.push(null);
+            next();
+        };
+        if (!this.pendingChunks) {
+            this.flushNext();
+        }
+    },
+
+    /**
+     * Try to transform a chunk
+     * @private
+     * @param {*} chunk
+     * @param {number} attempt - Number of this attempt
+     * @param {function} callback - Called with the final error or the result
+     * @param {function} [onFirstAttempt] - Called once the first attempt is done
+     */
+    attempt: function (chunk, attempt, callback, onFirstAttempt) {
+        var self = this;
+
+        callTransform(this.fn, chunk, function (err, result) {
+            var delay;
+
+            if (!err) {
+                callback(null, result);
+                if (onFirstAttempt) {
+                    onFirstAttempt();
+                }
+                return;
+            }
+            if (onFirstAttempt) {
+                onFirstAttempt();
+            }
+            if (attempt > self.retries) {
+                /**
+                 * A chunk failed after all retries (chunk, error)
+                 * @event streamLib.Pipe.Retry#failed
+                 * @type {*}
+                 */
+                self.emit('failed', chunk, err);
+                return callback(err);
+            }
+
+            delay = self.getDelay(attempt);
+            /**
+             * A chunk failed and will be retried (chunk, error, attempt, delay)
+             * @event streamLib.Pipe.Retry#retry
+             * @type {*}
+             */
+            self.emit('retry', chunk, err, attempt, delay);
+            setTimeout(function () {
+                self.attempt(chunk, attempt + 1, callback);
+            }, delay);
+        });
+    },
+    /**
+     * Delay before the next attempt in milliseconds
+     * @param {number} attempt - Number of the failed attempt
+     * @returns {number}
+     */
+    getDelay: function (attempt) {
+        var delay = Math.min(this.maxDelay, this.minDelay * Math.pow(this.factor, attempt - 1));
+
+        return Math.floor(delay * (1 - this.jitter * Math.random()));
+    },
+
+    /**
+     * Maximum amount of retries for a chunk
+     * @type {number}
+     */
+    retries: 3,
+    /**
+     * Delay before the first retry in milliseconds
+     * @type {number}
+     */
+    minDelay: 100,
+    /**
+     * Maximum delay between two retries in milliseconds
+     * @type {number}
+     */
+    maxDelay: 10000,
+    /**
+     * Multiplier for the delay of every further retry
+     * @type {number}
+     */
+    factor: 2,
+    /**
+     * Part of the delay that is random (0 to 1)
+     * @type {number}
+     */
+    jitter: 0.5,
+    /**
+     * Continue with the next chunks while a chunk waits for a retry (changes the order)
+     * @type {boolean}
+     */
+    unordered: false,
+    /**
+     * Stream of chunks that failed after all retries as objects with chunk and error
+     * @type {stream.Readable}
+     */
+    deadLetter: null,
+    /**
+     * @private
+     */
+    fn: null,
+    /**
+     * @private
+     */
+    pendingChunks: 0,
+    /**
+     * @private
+     */
+    flushNext: null
+};
+/*jslint unparam: false*/
+
+/**
+ * Map chunks with an asynchronous function on multiple chunks at once. The results are send in the order of the
+ * chunks (with a bounded reorder buffer) or as soon as they are done in unordered mode.
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @param {function} fn - Mapper with the chunk and a callback, or returning a promise
+ * @param {{}} [opts] - Options for the stream and the mapping (concurrency, bufferSize, unordered)
+ * @constructor
+ * @memberOf streamLib.Pipe
+ * @augments {stream.Transform}
+ */
+Pipe.Parallel = function (fn, opts) {
+    Transform.call(this, opts);
+    assignOptions(this, opts, ['concurrency', 'bufferSize', 'unordered']);
+
+    this.fn = fn;
+    this.results = {};
+};
+
+/**
+ * Send finished results and request more chunks, if the limits allow it
+ * @private
+ */
+var parallelRelease = function () {
+    var next;
+
+    while (this.results.hasOwnProperty(this.sendIndex)) {
+        if (this.results[this.sendIndex] !== undefined && this.results[this.sendIndex] !== null) {
+            this.push(this.results[this.sendIndex]);
+        }
+        delete this.results[this.sendIndex];
+        this.waiting -= 1;
+        this.sendIndex += 1;
+    }
+
+    if (this.pendingNext && this.running < this.concurrency && this.waiting < this.bufferSize) {
+        next = this.pendingNext;
+        this.pendingNext = null;
+        next();
+    }
+    if (this.flushNext && !this.running) {
+        next = this.flushNext;
+        this.flushNext = null;
+        next();
+    }
+};
+
+/*jslint unparam: true*/
+Pipe.Parallel.prototype = {
+    '__proto__': Transform.prototype,
+
+    '_transform': function (chunk, encoding, next) {
+        var self = this,
+            index = this.chunkIndex;
+
+        this.chunkIndex += 1;
+        this.running += 1;
+        this.pendingNext = next;
+
+        callTransform(this.fn, chunk, function (err, result) {
+            self.running -= 1;
+            if (self.destroyed) {
+                return;
+            }
+            if (err) {
+                // Fail the stream instead of ending it without the chunk
+                return self.destroy(err);
+            }
+            if (self.unordered) {
+                if (result !== undefined && result !== null) {
+                    self.push(result);
+                }
+            } else {
+                self.results[index] = result;
+                self.waiting += 1;
+            }
+            parallelRelease.apply(self);
+        });
+
+        parallelRelease.apply(this);
+    },
+    '_flush': function (next) {
+        this.flushNext = next;
+        parallelRelease.apply(this);
+    },
+
+    /**
+     * Maximum amount of chunks mapped at once
+     * @type {number}
+     */
+    concurrency: 4,
+    /**
+     * Maximum amount of results waiting for the result of a previous chunk
+     * @type {number}
+     */
+    bufferSize: 16,
+    /**
+     * Send results as soon as they are done
+     * @type {boolean}
+     */
+    unordered: false,
+    /**
+     * @private
+     */
+    fn: null,
+    /**
+     * @private
+     */
+    results: {},
+    /**
+     * @private
+     */
+    chunkIndex: 0,
+    /**
+     * @private
+     */
+    sendIndex: 0,
+    /**
+     * @private
+     */
+    running: 0,
+    /**
+     * @private
+     */
+    waiting: 0,
+    /**
+     * @private
+     */
+    pendingNext: null,
+    /**
+     * @private
+     */
+    flushNext: null
+};
+/*jslint unparam: false*/
+
+/**
+ * Group the chunks of an object stream into windows. Windows are "tumbling" or "sliding" by a count of chunks (size)
+ * or by time (duration), or "session" windows that close after a gap without chunks. Time is the wall clock or the
+ * event time of the chunks, that may arrive late within the allowed lateness. Windows are objects with start, end and
+ * chunks.
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @param {{}} [opts] - Options for the windows (type, size, duration, slide, gap, eventTime, allowedLateness)
+ * @constructor
+ * @memberOf streamLib.Pipe
+ * @augments {stream.Transform}
+ */
+Pipe.Window = function (opts) {
+    Transform.call(this, {objectMode: true});
+    assignOptions(this, opts, ['type', 'size', 'duration', 'slide', 'gap', 'eventTime', 'allowedLateness']);
+
+    if (['tumbling', 'sliding', 'session'].indexOf(this.type) === -1) {
+        throw new Error('Unknown window type: ' + this.type);
+    }
+    this.windows = [];
+};
+/*jslint unparam: true*/
+Pipe.Window.prototype = {
+    '__proto__': Transform.prototype,
+
+    '_transform': function (chunk, encoding, next) {
+        var time = this.eventTime ? this.eventTime(chunk) : Date.now();
+
+        this.watermark = this.eventTime ? Math.max(this.watermark, time - this.allowedLateness) : time;
+
+        if (this.type === 'session') {
+            this.addToSession(chunk, time);
+        } else if (this.duration > 0) {
+            this.addToTimeWindows(chunk, time);
+        } else {
+            this.addToCountWindows(chunk, time);
+        }
+
+        this.closeWindows();
+        return next();
+    },
+    '_flush': function (next) {
+        clearTimeout(this.timeout);
+        while (this.windows.length) {
+            this.push(this.windows.shift());
+        }
+        return next();
+    },
+    '_destroy': function (err, callback) {
+        clearTimeout(this.timeout);
+        this.timeout = null;
+        this.windows = [];
+        callback(err);
+    },
+
+    /**
+     * @private
+     * @param {*} chunk
+     * @param {number} time
+     */
+    addToCountWindows: function (chunk, time) {
+        var slide = this.type === 'tumbling' ? this.size : (this.slide || 1),
+            i;
+
+        if (this.chunkCounter % slide === 0) {
+            this.windows.push({start: time, end: time, chunks: []});
+        }
+        this.chunkCounter += 1;
+
+        for (i = 0; i < this.windows.length; i += 1) {
+            this.windows[i].chunks.push(chunk);
+            this.windows[i].end = time;
+        }
+    },
+    /**
+     * @private
+     * @param {*} chunk
+     * @param {number} time
+     */
+    addToTimeWindows: function (chunk, time) {
+        var slide = this.type === 'tumbling' ? this.duration : (this.slide || this.duration),
+            start,
+            added = false,
+            i;
+
+        for (start = Math.floor(time / slide) * slide; start > time - this.duration; start -= slide) {
+            if (start + this.duration > this.watermark) {
+                i = 0;
+                while (i < this.windows.length && this.windows[i].start < start) {
+                    i += 1;
+                }
+                if (!this.windows[i] || this.windows[i].start !== start) {
+                    this.windows.splice(i, 0, {start: start, end: start + this.duration, chunks: []});
+                }
+                this.windows[i].chunks.push(chunk);
+                added = true;
+            }
+        }
+        if (!added) {
+            this.late(chunk, time);
+        }
+    },
+    /**
+     * @private
+     * @param {*} chunk
+     * @param {number} time
+     */
+    addToSession: function (chunk, time) {
+        var session,
+            i;
+
+        for (i = 0; i < this.windows.length; i += 1) {
+            if (time >= this.windows[i].start - this.gap && time <= this.windows[i].end + this.gap) {
+                session = this.windows[i];
+                break;
+            }
+            if (this.windows[i].start > time) {
+                break;
+            }
+        }
+
+        if (!session) {
+            if (this.eventTime && time + this.gap <= this.watermark) {
+                return this.late(chunk, time);
+            }
+            this.windows.splice(i, 0, {start: time, end: time, chunks: [chunk]});
+            return;
+        }
+
+        session.chunks.push(chunk);
+        session.start = Math.min(session.start, time);
+        session.end = Math.max(session.end, time);
+
+        // A chunk can close the gap to the following session
+        while (this.windows[i + 1] && this.windows[i + 1].start - this.gap <= session.end) {
+            session.chunks = session.chunks.concat(this.windows[i + 1].chunks);
+            session.end = Math.max(session.end, this.windows[i + 1].end);
+            this.windows.splice(i + 1, 1);
+        }
+    },
+    /**
+     * Send all windows that are complete
+     * @private
+     */
+    closeWindows: function () {
+        var self = this;
+
+        while (this.windows.length && this.isComplete(this.windows[0])) {
+            this.push(this.windows.shift());
+        }
+
+        clearTimeout(this.timeout);
+        if (!this.eventTime && this.windows.length && (this.type === 'session' || this.duration > 0)) {
+            this.timeout = setTimeout(function () {
+                self.watermark = Date.now();
+                self.closeWindows();
+            }, Math.max(0, this.getCloseTime(this.windows[0]) - Date.now()));
+        }
+    },
+    /**
+     * @private
+     * @param {{start: number, end: number, chunks: Array}} window
+     * @returns {boolean}
+     */
+    isComplete: function (window) {
+        if (this.type !== 'session' && !(this.duration > 0)) {
+            return window.chunks.length >= this.size;
+        }
+        return this.getCloseTime(window) <= this.watermark;
+    },
+    /**
+     * @private
+     * @param {{start: number, end: number, chunks: Array}} window
+     * @returns {number}
+     */
+    getCloseTime: function (window) {
+        return this.type === 'session' ? window.end + this.gap : window.end;
+    },
+    /**
+     * @private
+     * @param {*} chunk
+     * @param {number} time
+     */
+    late: function (chunk, time) {
+        /**
+         * A chunk arrived after its window was closed (chunk, time)
+         * @event streamLib.Pipe.Window#late
+         * @type {*}
+         */
+        this.emit('late', chunk, time);
+    },
+
+    /**
+     * Type of the windows: "tumbling", "sliding" or "session"
+     * @type {string}
+     */
+    type: 'tumbling',
+    /**
+     * Amount of chunks in a window, if there is no duration
+     * @type {number}
+     */
+    size: 10,
+    /**
+     * Duration of a window in milliseconds for windows by time
+     * @type {number}
+     */
+    duration: 0,
+    /**
+     * Distance between the starts of sliding windows in chunks or milliseconds
+     * @type {number}
+     */
+    slide: 0,
+    /**
+     * Gap in milliseconds that closes a session window
+     * @type {number}
+     */
+    gap: 1000,
+    /**
+     * Get the event time of a chunk in milliseconds (null uses the wall clock)
+     * @type {function|null}
+     */
+    eventTime: null,
+    /**
+     * Time in milliseconds chunks may arrive late with event time
+     * @type {number}
+     */
+    allowedLateness: 0,
+    /**
+     * Open windows
+     * @type {Array}
+     */
+    windows: [],
+    /**
+     * @private
+     */
+    watermark: -Infinity,
+    /**
+     * @private
+     */
+    chunkCounter: 0,
+    /**
+     * @private
+     */
+    timeout: null
+};
+/*jslint unparam: false*/
+
+/**
+ * Send the last chunk of a burst after a quiet period of wait milliseconds. The first chunk of a burst can be send
+ * immediately (leading) and a long burst sends its last chunk at least every maxWait milliseconds. A pending chunk
+ * gets send on end if trailing is enabled, otherwise it is dropped.
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @param {{}} [opts] - Options for the stream and the debounce (wait, leading, trailing, maxWait)
+ * @constructor
+ * @memberOf streamLib.Pipe
+ * @augments {stream.Transform}
+ */
+Pipe.Debounce = function (opts) {
+    Transform.apply(this, arguments);
+    assignOptions(this, opts, ['wait', 'leading', 'trailing', 'maxWait']);
+};
+/*jslint unparam: true*/
+Pipe.Debounce.prototype = {
+    '__proto__': Transform.prototype,
+
+    '_transform': function (chunk, encoding, next) {
+        var self = this;
+
+        if (!this.timeout && this.leading) {
+            this.push(chunk);
+        } else {
+            this.lastChunk = chunk;
+            this.pending = true;
+        }
+
+        clearTimeout(this.timeout);
+        this.timeout = setTimeout(function () {
+            self.timeout = null;
+            clearTimeout(self.maxTimeout);
+            self.maxTimeout = null;
+            self.sendPending(self.trailing);
+        }, this.wait);
+
+        if (this.maxWait > 0 && !this.maxTimeout) {
+            this.maxTimeout = setTimeout(function () {
+                self.maxTimeout = null;
+                self.sendPending(true);
+            }, this.maxWait);
+        }
+        return next();
+    },
+    '_flush': function (next) {
+        clearTimeout(this.timeout);
+        clearTimeout(this.maxTimeout);
+        this.sendPending(this.trailing);
+        return next();
+    },
+    '_destroy': function (err, callback) {
+        clearTimeout(this.timeout);
+        clearTimeout(this.maxTimeout);
+        this.timeout = this.maxTimeout = null;
+        this.sendPending(false);
+        callback(err);
+    },
+
+    /**
+     * Send or drop the pending chunk
+     * @private
+     * @param {boolean} send
+     */
+    sendPending: function (send) {
+        if (this.pending && send) {
+            this.push(this.lastChunk);
+        }
+        this.pending = false;
+        this.lastChunk = null;
+    },
+
+    /**
+     * Quiet period in milliseconds
+     * @type {number}
+     */
+    wait: 100,
+    /**
+     * Send the first chunk of a burst immediately
+     * @type {boolean}
+     */
+    leading: false,
+    /**
+     * Send the last chunk of a burst after the quiet period
+     * @type {boolean}
+     */
+    trailing: true,
+    /**
+     * Maximum time in milliseconds a chunk waits during a long burst (zero is unlimited)
+     * @type {number}
+     */
+    maxWait: 0,
+    /**
+     * @private
+     */
+    lastChunk: null,
+    /**
+     * @private
+     */
+    pending: false,
+    /**
+     * @private
+     */
+    timeout: null,
+    /**
+     * @private
+     */
+    maxTimeout: null
+};
+/*jslint unparam: false*/
+
+/**
+ * Send the latest chunk every interval milliseconds. Chunks in between are dropped, the latest chunk gets send on end
+ * if flushOnEnd is enabled.
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @param {{}} [opts] - Options for the stream and the sampling (interval, flushOnEnd)
+ * @constructor
+ * @memberOf streamLib.Pipe
+ * @augments {stream.Transform}
+ */
+Pipe.Sample = function (opts) {
+    Transform.apply(this, arguments);
+    assignOptions(this, opts, ['interval', 'flushOnEnd']);
+};
+/*jslint unparam: true*/
+Pipe.Sample.prototype = {
+    '__proto__': Transform.prototype,
+
+    '_transform': function (chunk, encoding, next) {
+        var self = this;
+
+        this.lastChunk = chunk;
+        this.pending = true;
+
+        if (!this.timer) {
+            this.timer = setInterval(function () {
+                if (!self.pending) {
+                    // Nothing arrived during the last interval, the next chunk starts a new one
+                    return self.stopTimer();
+                }
+                self.pending = false;
+                self.push(self.lastChunk);
+                self.lastChunk = null;
+            }, this.interval);
+        }
+        return next();
+    },
+    '_flush': function (next) {
+        this.stopTimer();
+        if (this.pending && this.flushOnEnd) {
+            this.push(this.lastChunk);
+        }
+        this.pending = false;
+        this.lastChunk = null;
+        return next();
+    },
+    '_destroy': function (err, callback) {
+        this.stopTimer();
+        this.pending = false;
+        this.lastChunk = null;
+        callback(err);
+    },
+
+    /**
+     * @private
+     */
+    stopTimer: function () {
+        clearInterval(this.timer);
+        this.timer = null;
+    },
+
+    /**
+     * Interval in milliseconds
+     * @type {number}
+     */
+    interval: 1000,
+    /**
+     * Send the latest chunk on end, if it was not send yet
+     * @type {boolean}
+     */
+    flushOnEnd: true,
+    /**
+     * @private
+     */
+    lastChunk: null,
+    /**
+     * @private
+     */
+    pending: false,
+    /**
+     * @private
+     */
+    timer: null
+};
+/*jslint unparam: false*/
+
+/**
+ * Input of a join
+ * @private
+ * @param {streamLib.Pipe.Join} join
+ * @param {string} side - "left" or "right"
+ * @constructor
+ * @augments {stream.Writable}
+ */
+var JoinInput = function (join, side) {
+    Writable.call(this, {objectMode: true});
+
+    this.on('finish', function () {
+        join.inputEnded(side);
+    });
+    this.join = join;
+    this.side = side;
+};
+/*jslint unparam: true*/
+JoinInput.prototype = {
+    '__proto__': Writable.prototype,
+
+    '_write': function (chunk, encoding, next) {
+        this.join.receive(this.side, chunk, next);
+    }
+};
+/*jslint unparam: false*/
+
+/**
+ * Join two object streams by key. Write into the left and the right input and read the merged tuples.
+ *
+ * In the mode "table" the right input is a table with the latest chunk per key, every left chunk gets joined with it.
+ * The join ends with the left input. In the mode "window" chunks of both inputs are buffered for window milliseconds
+ * and joined with every chunk of the other input with the same key in this time. The join ends when both inputs end.
+ * A "left" join sends left chunks without a match with null, an "inner" join drops them.
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @param {{}} [opts] - Options for the join (mode, type, key, leftKey, rightKey, window, eventTime, merge)
+ * @constructor
+ * @memberOf streamLib.Pipe
+ * @augments {stream.Readable}
+ */
+Pipe.Join = function (opts) {
+    Readable.call(this, {objectMode: true});
+    assignOptions(this, opts, ['mode', 'type', 'key', 'leftKey', 'rightKey', 'window', 'eventTime', 'merge']);
+
+    if (['table', 'window'].indexOf(this.mode) === -1) {
+        throw new Error('Unknown join mode: ' + this.mode);
+    }
+    if (['inner', 'left'].indexOf(this.type) === -1) {
+        throw new Error('Unknown join type: ' + this.type);
+    }
+
+    this.table = new Map();
+    this.buffers = {left: [], right: []};
+    this.ended = {left: false, right: false};
+    this.pendingNexts = [];
+
+    this.left = new JoinInput(this, 'left');
+    this.right = new JoinInput(this, 'right');
+};
+Pipe.Join.prototype = {
+    '__proto__': Readable.prototype,
+
+    '_read': function () {
+        var nexts = this.pendingNexts;
+
+        this.reading = true;
+        this.pendingNexts = [];
+        nexts.forEach(function (next) {
+            next();
+        });
+    },
+
+    /**
+     * Receive a chunk from an input
+     * @private
+     * @param {string} side - "left" or "right"
+     * @param {*} chunk
+     * @param {function} next
+     */
+    receive: function (side, chunk, next) {
+        var key = side === 'left' ? (this.leftKey || this.key)(chunk) : (this.rightKey || this.key)(chunk),
+            match;
+
+        if (this.finished) {
+            return next();
+        }
+
+        if (this.mode === 'table') {
+            if (side === 'right') {
+                this.table.set(key, chunk);
+            } else {
+                match = this.table.get(key);
+                if (match !== undefined || this.type === 'left') {
+                    this.send(chunk, match === undefined ? null : match);
+                }
+            }
+        } else {
+            this.receiveInWindow(side, key, chunk);
+        }
+
+        if (this.reading) {
+            return next();
+        }
+        this.pendingNexts.push(next);
+    },
+    /**
+     * @private
+     * @param {string} side - "left" or "right"
+     * @param {*} key
+     * @param {*} chunk
+     */
+    receiveInWindow: function (side, key, chunk) {
+        var time = this.eventTime ? this.eventTime(chunk) : Date.now(),
+            entry = {key: key, chunk: chunk, time: time, matched: false},
+            other = this.buffers[side === 'left' ? 'right' : 'left'],
+            i;
+
+        this.now = Math.max(this.now, time);
+        this.expire(this.now - this.window);
+
+        for (i = 0; i < other.length; i += 1) {
+            if (other[i].key === key && Math.abs(other[i].time - time) <= this.window) {
+                other[i].matched = true;
+                entry.matched = true;
+                if (side === 'left') {
+                    this.send(chunk, other[i].chunk);
+                } else {
+                    this.send(other[i].chunk, chunk);
+                }
+            }
+        }
+        this.buffers[side].push(entry);
+    },
+    /**
+     * Remove buffered chunks older than a time
+     * @private
+     * @param {number} time
+     */
+    expire: function (time) {
+        var self = this;
+
+        ['left', 'right'].forEach(function (side) {
+            self.buffers[side] = self.buffers[side].filter(function (entry) {
+                if (entry.time >= time) {
+                    return true;
+                }
+                if (side === 'left' && !entry.matched && self.type === 'left') {
+                    self.send(entry.chunk, null);
+                }
+                return false;
+            });
+        });
+    },
+    /**
+     * @private
+     * @param {string} side - "left" or "right"
+     */
+    inputEnded: function (side) {
+        this.ended[side] = true;
+
+        if (this.finished || (this.mode === 'window' && !(this.ended.left && this.ended.right)) ||
+                (this.mode === 'table' && side !== 'left')) {
+            return;
+        }
+        this.expire(Infinity);
+        this.finished = true;
+        this.push(null);
+    },
+    /**
+     * @private
+     * @param {*} left
+     * @param {*} right
+     */
+    send: function (left, right) {
+        this.reading = this.push(this.merge(left, right));
+    },
+
+    /**
+     * Join mode: "table" or "window"
+     * @type {string}
+     */
+    mode: 'table',
+    /**
+     * Join type: "inner" or "left"
+     * @type {string}
+     */
+    type: 'inner',
+    /**
+     * Get the key of a chunk
+     * @param {*} chunk
+     * @returns {*}
+     */
+    key: function (chunk) {
+        return chunk.key;
+    },
+    /**
+     * Get the key of a left chunk (null uses key)
+     * @type {function|null}
+     */
+    leftKey: null,
+    /**
+     * Get the key of a right chunk (null uses key)
+     * @type {function|null}
+     */
+    rightKey: null,
+    /**
+     * Time in milliseconds chunks get joined in the mode "window"
+     * @type {number}
+     */
+    window: 1000,
+    /**
+     * Get the event time of a chunk in milliseconds (null uses the wall clock)
+     * @type {function|null}
+     */
+    eventTime: null,
+    /**
+     * Merge a left and a right chunk into the result
+     * @param {*} left
+     * @param {*} right - Right chunk or null
+     * @returns {*}
+     */
+    merge: function (left, right) {
+        return [left, right];
+    },
+    /**
+     * Writable input for the left chunks
+     * @type {stream.Writable}
+     */
+    left: null,
+    /**
+     * Writable input for the right chunks, the table in the mode "table"
+     * @type {stream.Writable}
+     */
+    right: null,
+    /**
+     * Latest chunk per key of the right input in the mode "table"
+     * @type {Map}
+     */
+    table: null,
+    /**
+     * @private
+     */
+    buffers: null,
+    /**
+     * @private
+     */
+    ended: null,
+    /**
+     * @private
+     */
+    pendingNexts: [],
+    /**
+     * @private
+     */
+    now: -Infinity,
+    /**
+     * @private
+     */
+    reading: true,
+    /**
+     * @private
+     */
+    finished: false
+};
+
+/**
+ * Sorted run of a sort, read record by record from a temporary file or from memory
+ * @private
+ * @param {streamLib.Pipe.Sort} sort
+ * @param {number} index - Position of the run, earlier runs win on equal chunks
+ * @param {string|Array} source - Path of the temporary file or an array of sorted chunks
+ * @constructor
+ */
+var SortRun = function (sort, index, source) {
+    this.sort = sort;
+    this.index = index;
+    if (typeof source === 'string') {
+        this.file = source;
+        this.rest = new Buffer(0);
+    } else {
+        this.chunks = source;
+    }
+};
+SortRun.prototype = {
+    /**
+     * Get the next chunk of the run, undefined at the end
+     * @param {function} callback - Called with an error and the chunk
+     */
+    next: function (callback) {
+        var self = this,
+            length,
+            chunk,
+            buffer;
+
+        if (this.chunks) {
+            return callback(null, this.chunks.length ? this.chunks.shift() : undefined);
+        }
+        if (this.rest.length >= 4) {
+            length = this.rest.readUInt32BE(0);
+            if (this.rest.length >= 4 + length) {
+                try {
+                    chunk = this.sort.serializer.deserialize(this.rest.slice(4, 4 + length));
+                } catch (err) {
+                    return callback(err);
+                }
+                this.rest = this.rest.slice(4 + length);
+                return callback(null, chunk);
+            }
+        }
+        if (this.eof) {
+            if (this.rest.length) {
+                return callback(new Error('Truncated record in sort run ' + this.file));
+            }
+            return callback(null, undefined);
+        }
+        if (this.fd === null) {
+            return fs.open(this.file, 'r', function (err, fd) {
+                if (err) {
+                    return callback(err);
+                }
+                self.fd = fd;
+                self.next(callback);
+            });
+        }
+
+        buffer = new Buffer(this.sort.readSize);
+        fs.read(this.fd, buffer, 0, buffer.length, null, function (err, bytesRead) {
+            if (err) {
+                return callback(err);
+            }
+            if (!bytesRead) {
+                self.eof = true;
+            }
+            self.rest = Buffer.concat([self.rest, buffer.slice(0, bytesRead)]);
+            self.next(callback);
+        });
+    },
+    /**
+     * Close the file of the run
+     * @param {function} callback
+     */
+    close: function (callback) {
+        var fd = this.fd;
+
+        if (fd === null) {
+            return callback();
+        }
+        this.fd = null;
+        fs.close(fd, function () {
+            callback();
+        });
+    },
+
+    fd: null,
+    eof: false,
+    file: null,
+    chunks: null
+};
+
+/**
+ * Send the smallest chunk of all runs until the runs are exhausted or the readable side is full
+ * @private
+ */
+var sortMerge = function () {
+    var self = this,
+        run,
+        best,
+        compared,
+        i,
+        sync,
+        reading,
+        received = function (err, chunk) {
+            reading = false;
+            if (err) {
+                return self.finishMerge(err);
+            }
+            if (chunk !== undefined) {
+                self.heads.push({run: run, chunk: chunk});
+            }
+            if (!sync) {
+                sortMerge.call(self);
+            }
+        };
+
+    this.mergePaused = false;
+    while (this.flushNext) {
+        while (this.exhausted.length) {
+            run = this.exhausted.shift();
+            sync = true;
+            reading = true;
+            run.next(received);
+            sync = false;
+            if (reading) {
+                return;
+            }
+        }
+        if (!this.heads.length) {
+            return this.finishMerge();
+        }
+
+        best = 0;
+        for (i = 1; i < this.heads.length; i += 1) {
+            compared = this.compare(this.heads[i].chunk, this.heads[best].chunk);
+            if (compared < 0 || (compared === 0 && this.heads[i].run.index < this.heads[best].run.index)) {
+                best = i;
+            }
+        }
+        best = this.heads.splice(best, 1)[0];
+        this.exhausted.push(best.run);
+        if (!this.push(best.chunk)) {
+            this.mergePaused = true;
+            return;
+        }
+    }
+};
+
+/**
+ * Sort a stream with a limited memory budget. Chunks are collected until maxChunks or maxBytes is reached, then the
+ * sorted run gets spilled into a temporary file. On end all runs are merged and the temporary files get removed.
+ * Records in the temporary files are written with the serializer, the default is JSON in object mode and the raw
+ * buffer otherwise.
+ * @author Arne Schubert <atd.schubert@gmail.com>
+ * @param {{}} [opts] - Options for the stream and the sort (compare, maxChunks, maxBytes, serializer, tmpDir, readSize)
+ * @constructor
+ * @memberOf streamLib.Pipe
+ * @augments {stream.Transform}
+ */
+Pipe.Sort = function (opts) {
+    Transform.call(this, opts);
+    assignOptions(this, opts, ['compare', 'maxChunks', 'maxBytes', 'serializer', 'tmpDir', 'readSize']);
+
+    if (!this.serializer) {
+        this.serializer = (opts && (opts.objectMode || opts.writableObjectMode)) ?
+                Pipe.Sort.serializers.json : Pipe.Sort.serializers.buffer;
+    }
+    this.chunks = [];
+    this.records = [];
+    this.files = [];
+    this.runs = [];
+};
+/*jslint unparam: true*/
+Pipe.Sort.prototype = {
+    '__proto__': Transform.prototype,
+
+    '_transform': function (chunk, encoding, next) {
+        var self = this,
+            record;
+
+        // Other chunks than buffers and strings are measured by their record, it is kept for the spill
+        if (this.maxBytes > 0 && !Buffer.isBuffer(chunk) && typeof chunk !== 'string') {
+            try {
+                record = this.serialize(chunk);
+            } catch (err) {
+                return next(err);
+            }
+            this.bytes += record.length;
+        } else {
+            this.bytes += chunkBytes(chunk);
+        }
+        this.chunks.push(chunk);
+        this.records.push(record);
+
+        if ((this.maxChunks > 0 && this.chunks.length >= this.maxChunks) ||
+                (this.maxBytes > 0 && this.bytes >= this.maxBytes)) {
+            return this.spill(function (err) {
+                if (err) {
+                    return self.cleanup(function () {
+                        next(err);
+                    });
+                }
+                next();
+            });
+        }
+        return next();
+    },
+    '_flush': function (next) {
+        var self = this;
+
+        this.chunks.sort(this.compare);
+        if (!this.files.length) {
+            this.chunks.forEach(function (chunk) {
+                self.push(chunk);
+            });
+            this.chunks = [];
+            this.records = [];
+            return next();
+        }
+
+        this.flushNext = next;
+        this.runs = this.files.map(function (file, index) {
+            return new SortRun(self, index, file);
+        });
+        this.runs.push(new SortRun(this, this.runs.length, this.chunks));
+        this.chunks = [];
+        this.records = [];
+        this.heads = [];
+        this.exhausted = this.runs.slice();
+        sortMerge.call(this);
+    },
+    '_read': function () {
+        Transform.prototype._read.apply(this, arguments);
+        if (this.mergePaused) {
+            sortMerge.call(this);
+        }
+    },
+    '_destroy': function (err, callback) {
+        this.cleanup(function () {
+            callback(err);
+        });
+    },
+
+    /**
+     * Sort the collected chunks and write them into a temporary file
+     * @private
+     * @param {function} callback
+     */
+    spill: function (callback) {
+        var self = this,
+            file = path.join(this.tmpDir || os.tmpdir(),
+                'stream-lib-sort-' + process.pid + '-' + crypto.randomBytes(6).toString('hex') + '.tmp'),
+            entries = this.chunks.map(function (chunk, index) {
+                return {chunk: chunk, record: self.records[index]};
+            }),
+            records = [],
+            count = this.chunks.length,
+            length;
+
+        try {
+            entries.sort(function (a, b) {
+                return self.compare(a.chunk, b.chunk);
+            });
+            entries.forEach(function (entry) {
+                var record = entry.record || self.serialize(entry.chunk);
+
+                length = new Buffer(4);
+                length.writeUInt32BE(record.length, 0);
+                records.push(length, record);
+            });
+        } catch (err) {
+            return callback(err);
+        }
+        this.chunks = [];
+        this.records = [];
+        this.bytes = 0;
+        this.files.push(file);
+
+        fs.writeFile(file, Buffer.concat(records), function (err) {
+            if (err) {
+                return callback(err);
+            }
+            /**
+             * A sorted run was written into a temporary file (file, count)
+             * @event streamLib.Pipe.Sort#spill
+             * @type {string}
+             */
+            self.emit('spill', file, count);
+            callback();
+        });
+    },
+    /**
+     * Serialize a chunk into a record for a temporary file
+     * @private
+     * @param {*} chunk
+     * @returns {Buffer}
+     */
+    serialize: function (chunk) {
+        var record = this.serializer.serialize(chunk);
+
+        return Buffer.isBuffer(record) ? record : new Buffer(String(record));
+    },
+    /**
+     * @private
+     * @param {Error} [err]
+     */
+    finishMerge: function (err) {
+        var next = this.flushNext;
+
+        this.flushNext = null;
+        this.mergePaused = false;
+        this.cleanup(function () {
+            if (next) {
+                next(err);
+            }
+        });
+    },
+    /**
+     * Close and remove all temporary files
+     * @param {function} [callback]
+     * @returns {Pipe.Sort}
+     */
+    cleanup: function (callback) {
+        var files = this.files,
+            runs = this.runs,
+            pending = runs.length + files.length + 1,
+            done = function () {
+                pending -= 1;
+                if (!pending && callback) {
+                    callback();
+                }
+            };
+
+        this.files = [];
+        this.runs = [];
+        this.heads = [];
+        this.exhausted = [];
+        runs.forEach(function (run) {
+            run.close(done);
+        });
+        files.forEach(function (file) {
+            fs.unlink(file, done);
+        });
+        done();
+        return this;
+    },
+
+    /**
+     * Compare two chunks like a comparator of Array.prototype.sort
+     * @param {*} a
+     * @param {*} b
+     * @returns {number}
+     */
+    compare: function (a, b) {
+        if (Buffer.isBuffer(a) && Buffer.isBuffer(b)) {
+            return Buffer.compare(a, b);
+        }
+        if (a < b) {
+            return -1;
+        }
+        return a > b ? 1 : 0;
+    },
+    /**
+     * Amount of chunks kept in memory before a run gets spilled (zero is unlimited)
+     * @type {number}
+     */
+    maxChunks: 100000,
+    /**
+     * Amount of bytes kept in memory before a run gets spilled (zero is unlimited), objects are counted with the size of
+     * their serialized record
+     * @type {number}
+     */
+    maxBytes: 64 * 1024 * 1024,
+    /**
+     * Serializer with serialize (chunk to buffer or string) and deserialize (buffer to chunk) functions
+     * @type {{serialize: function, deserialize: function}|null}
+     */
+    serializer: null,
+    /**
+     * Directory for the temporary files (null uses the directory of the operating system)
+     * @type {string|null}
+     */
+    tmpDir: null,
+    /**
+     * Bytes read at once from a temporary file
+     * @type {number}
+     */
+    readSize: 64 * 1024,
+    /**
+     * @private
+     */
+    bytes: 0,
+    /**
+     * @private
+     */
+    chunks: null,
+    /**
+     * Records of the chunks that were serialized to measure them
+     * @private
+     */
+    records: null,
+    /**
+     * @private
+     */
+    files: null,
+    /**
+     * @private
+     */
+    runs: null,
+    /**
+     * @private
+     */
+    heads: null,
+    /**
+     * @private
+     */
+    exhausted: null,
+    /**
+     * @private
+     */
+    mergePaused: false,
+    /**
+     * @private
+     */
+    flushNext: null
+};
+/*jslint unparam: false*/
+
+/**
+ * Serializers for the temporary files of a sort
+ * @memberOf streamLib.Pipe.Sort
+ * @type {{buffer: {}, json: {}}}
+ */
+Pipe.Sort.serializers = {
+    buffer: {
+        serialize: function (chunk) {
+            return chunk;
+        },
+        deserialize: function (record) {
+            return record;
+        }
+    },
+    json: {
+        serialize: function (chunk) {
+            return JSON.stringify(chunk);
+        },
+        deserialize: function (record) {
+            return JSON.parse(record.toString());
+        }
+    }
+};
+
 // IDEAS: Multicore like a multicore in audio, a stream full ob stream objects
 
 module.exports = Pipe;
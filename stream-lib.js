@@ -13,12 +13,21 @@
 /**
  * Associative array of lib classes.
  * @type {{}}
+ * @property {streamLib.aggregate} aggregate
+ * @property {streamLib.ascii85} ascii85
+ * @property {streamLib.base32} base32
+ * @property {streamLib.base64} base64
  * @property {streamLib.BufferStream} Buffer
  * @property {streamLib.Concat} Concat
+ * @property {streamLib.csv} csv
  * @property {streamLib.EventStream} Event
+ * @property {streamLib.framing} framing
  * @property {streamLib.hex} hex
+ * @property {streamLib.json} json
+ * @property {streamLib.Lines} Lines
  * @property {streamLib.LowerCase} LowerCase
  * @property {streamLib.Measure} Measure
+ * @property {streamLib.ndjson} ndjson
  * @property {streamLib.Null} Null
  * @property {streamLib.Pipe} Pipe
  * @property {streamLib.Random} Random
@@ -32,13 +41,22 @@
  * @property {streamLib.Sluice} Sluice private at this time
  */
 var streamLib = {
+    aggregate: require('./lib/aggregate'),
+    ascii85: require('./lib/ascii85'),
+    base32: require('./lib/base32'),
+    base64: require('./lib/base64'),
     Beat: require('./lib/beat'),
     Buffer: require('./lib/buffer'),
     Concat: require('./lib/concat'),
+    csv: require('./lib/csv'),
     Event: require('./lib/event'),
+    framing: require('./lib/framing'),
     hex: require('./lib/hex'),
+    json: require('./lib/json'),
+    Lines: require('./lib/lines'),
     LowerCase: require('./lib/lower-case'),
     Measure: require('./lib/measure'),
+    ndjson: require('./lib/ndjson'),
     Null: require('./lib/null'),
     Pipe: require('./lib/pipe'),
     Random: require('./lib/random'),
@@ -271,6 +271,94 @@ describe('streamLib', function () {
 
                 senderPipe.write(testObj);
             });
+            it('should drop buffers with the same content', function (done) {
+                var oncePipe = new streamLib.Pipe.Once({key: 'content', freeing: false}),
+                    duplicates = 0,
+                    result = '';
+
+                oncePipe.on('duplicate', function () {
+                    duplicates += 1;
+                });
+                oncePipe.on('data', function (chunk) {
+                    result += chunk.toString();
+                });
+                oncePipe.on('end', function () {
+                    if (result === 'ab' && duplicates === 2) {
+                        return done();
+                    }
+                    return done(new Error('Wrong content or duplicates'));
+                });
+
+                oncePipe.write(new Buffer('a'));
+                oncePipe.write(new Buffer('a'));
+                oncePipe.write(new Buffer('b'));
+                oncePipe.write(new Buffer('a'));
+                oncePipe.end();
+            });
+            it('should evict the least recently used key', function (done) {
+                var oncePipe = new streamLib.Pipe.Once({
+                        objectMode: true,
+                        freeing: false,
+                        maxSize: 2,
+                        key: function (chunk) {
+                            return chunk.id;
+                        }
+                    }),
+                    result = [];
+
+                oncePipe.on('data', function (chunk) {
+                    result.push(chunk.id);
+                });
+                oncePipe.on('end', function () {
+                    if (result.join(',') === '1,2,3,2' && oncePipe.knownChunks.size === 2) {
+                        return done();
+                    }
+                    return done(new Error('Wrong content: ' + result.join(',')));
+                });
+
+                oncePipe.write({id: 1});
+                oncePipe.write({id: 2});
+                oncePipe.write({id: 1}); // 1 is now the most recently used
+                oncePipe.write({id: 3}); // evicts 2
+                oncePipe.write({id: 1});
+                oncePipe.write({id: 2});
+                oncePipe.end();
+            });
+            it('should forget keys after their time to live', function (done) {
+                var oncePipe = new streamLib.Pipe.Once({objectMode: true, freeing: false, ttl: 10}),
+                    result = [];
+
+                oncePipe.on('data', function (chunk) {
+                    result.push(chunk);
+                });
+                oncePipe.on('end', function () {
+                    if (result.join(',') === 'a,a') {
+                        return done();
+                    }
+                    return done(new Error('Wrong content: ' + result.join(',')));
+                });
+
+                oncePipe.write('a');
+                oncePipe.write('a');
+                setTimeout(function () {
+                    oncePipe.write('a');
+                    oncePipe.end();
+                }, 20);
+            });
+            it('should remove expired keys of other chunks', function (done) {
+                var oncePipe = new streamLib.Pipe.Once({objectMode: true, ttl: 10});
+
+                oncePipe.resume();
+                oncePipe.write('a');
+                oncePipe.write('b');
+                setTimeout(function () {
+                    oncePipe.write('c');
+                    if (oncePipe.knownChunks.size === 1 && oncePipe.knownChunks.has('c')) {
+                        return done();
+                    }
+                    return done(new Error('Expired keys are still known: ' + oncePipe.knownChunks.size));
+                }, 20);
+            });
 
         });
 
@@ -369,6 +457,114 @@ describe('streamLib', function () {
                 firstChain.write(testStr);
                 firstChain.end();
             });
+
+            describe('Controller', function () {
+                it('should build a chain from an array', function (done) {
+                    var firstPipe = new streamLib.Pipe(),
+                        upperCaseStream = new streamLib.UpperCase(),
+                        lastPipe = new streamLib.Pipe(),
+                        controller = new streamLib.Pipe.Chain.Controller([firstPipe, upperCaseStream, lastPipe]),
+                        result = '';
+
+                    lastPipe.on('data', function (chunk) {
+                        result += chunk.toString();
+                    });
+                    lastPipe.on('end', function () {
+                        if (result === 'JUST A TEST' && controller.get(1) === upperCaseStream) {
+                            return done();
+                        }
+                        return done(new Error('Wrong content'));
+                    });
+
+                    firstPipe.write('just a test');
+                    firstPipe.end();
+                });
+                it('should remove a stage without losing chunks', function (done) {
+                    var firstPipe = new streamLib.Pipe(),
+                        delayPipe = new streamLib.Pipe.Delay(),
+                        lastPipe = new streamLib.Pipe(),
+                        controller = new streamLib.Pipe.Chain.Controller([firstPipe, delayPipe, lastPipe]),
+                        rewired = [],
+                        result = '';
+
+                    delayPipe.delay = 5;
+
+                    controller.on('rewired', function (change) {
+                        rewired.push(change.action);
+                    });
+                    lastPipe.on('data', function (chunk) {
+                        result += chunk.toString();
+                    });
+                    lastPipe.on('end', function () {
+                        if (result === 'abcd' && rewired.join(',') === 'remove' && controller.stages.length === 2) {
+                            return done();
+                        }
+                        return done(new Error('Wrong content: ' + result));
+                    });
+
+                    firstPipe.write('a');
+                    firstPipe.write('b');
+                    firstPipe.write('c');
+
+                    setImmediate(function () {
+                        controller.remove(1, function (err, removed) {
+                            if (err || removed !== delayPipe) {
+                                return done(err || new Error('Wrong stage removed'));
+                            }
+                            firstPipe.write('d');
+                            firstPipe.end();
+                        });
+                    });
+                });
+                it('should replace and insert stages', function (done) {
+                    var firstPipe = new streamLib.Pipe(),
+                        middlePipe = new streamLib.Pipe(),
+                        lastPipe = new streamLib.Pipe(),
+                        controller = new streamLib.Pipe.Chain.Controller([firstPipe, middlePipe, lastPipe]),
+                        result = '';
+
+                    lastPipe.on('data', function (chunk) {
+                        result += chunk.toString();
+                    });
+                    lastPipe.on('end', function () {
+                        if (result === 'aBc' && controller.stages.length === 4) {
+                            return done();
+                        }
+                        return done(new Error('Wrong content: ' + result));
+                    });
+
+                    firstPipe.write('a');
+                    controller.replace(1, new streamLib.UpperCase(), function () {
+                        firstPipe.write('b');
+
+                        setTimeout(function () {
+                            controller.insert(2, new streamLib.LowerCase(), function () {
+                                firstPipe.write('C');
+                                firstPipe.end();
+                            });
+                        }, 10);
+                    });
+                });
+                it('should report a stage nothing reads and keep working without it', function (done) {
+                    var firstPipe = new streamLib.Pipe(),
+                        lastPipe = new streamLib.Pipe(),
+                        controller = new streamLib.Pipe.Chain.Controller([firstPipe, lastPipe], {drainTimeout: 50});
+
+                    firstPipe.write('a');
+
+                    controller.remove(1, function (err) {
+                        if (!err || controller.stages.length !== 1) {
+                            return done(new Error('Removed a stage with unread chunks without an error'));
+                        }
+                        controller.insert(1, new streamLib.Pipe(), function (err) {
+                            if (err || controller.stages.length !== 2) {
+                                return done(err || new Error('Later changes are blocked'));
+                            }
+                            done();
+                        });
+                    });
+                });
+            });
         });
 
         describe('Tap', function () {
@@ -451,6 +647,90 @@ describe('streamLib', function () {
                 pipeStream.write(testStr);
                 pipeStream.end();
             });
+            it('should count dropped chunks and bytes', function (done) {
+                var tapPipe = new streamLib.Pipe.Tap(),
+                    events = 0;
+
+                tapPipe.lock();
+                tapPipe.on('dropped', function () {
+                    events += 1;
+                });
+                tapPipe.on('data', function () {
+                    return done(new Error('Locked tap send data'));
+                });
+                tapPipe.on('end', function () {
+                    if (events === 2 && tapPipe.droppedChunks === 2 && tapPipe.droppedBytes === 15) {
+                        return done();
+                    }
+                    return done(new Error('Wrong counters'));
+                });
+
+                tapPipe.write('just a test');
+                tapPipe.write('test');
+                tapPipe.end();
+            });
+            it('should pass every nth chunk', function (done) {
+                var tapPipe = new streamLib.Pipe.Tap({objectMode: true, sampleEvery: 3}),
+                    result = [],
+                    i;
+
+                tapPipe.on('data', function (chunk) {
+                    result.push(chunk);
+                });
+                tapPipe.on('end', function () {
+                    if (result.join(',') === '3,6,9' && tapPipe.droppedChunks === 7) {
+                        return done();
+                    }
+                    return done(new Error('Wrong samples: ' + result.join(',')));
+                });
+
+                for (i = 1; i <= 10; i += 1) {
+                    tapPipe.write(i);
+                }
+                tapPipe.end();
+            });
+            it('should pass a random rate of chunks', function (done) {
+                var tapPipe = new streamLib.Pipe.Tap({objectMode: true, sampleRate: 0.5}),
+                    passed = 0,
+                    i;
+
+                tapPipe.on('data', function () {
+                    passed += 1;
+                });
+                tapPipe.on('end', function () {
+                    if (passed > 300 && passed < 700 && passed + tapPipe.droppedChunks === SMALLAMOUNT) {
+                        return done();
+                    }
+                    return done(new Error('Wrong rate: ' + passed));
+                });
+
+                for (i = 0; i < SMALLAMOUNT; i += 1) {
+                    tapPipe.write(i);
+                }
+                tapPipe.end();
+            });
+            it('should drop chunks by a predicate', function (done) {
+                var tapPipe = new streamLib.Pipe.Tap({objectMode: true, predicate: function (chunk) {
+                        return chunk.level === 'debug';
+                    }}),
+                    result = [];
+
+                tapPipe.on('data', function (chunk) {
+                    result.push(chunk.level);
+                });
+                tapPipe.on('end', function () {
+                    if (result.join(',') === 'info,error') {
+                        return done();
+                    }
+                    return done(new Error('Wrong content'));
+                });
+
+                tapPipe.write({level: 'debug'});
+                tapPipe.write({level: 'info'});
+                tapPipe.write({level: 'debug'});
+                tapPipe.write({level: 'error'});
+                tapPipe.end();
+            });
         });
 
         describe('Gate', function () {
@@ -507,6 +787,129 @@ describe('streamLib', function () {
                 pipeStream.write(testStr);
                 pipeStream.end();
             });
+            it('should let released chunks pass a locked gate', function (done) {
+                var gatePipe = new streamLib.Pipe.Gate({objectMode: true}),
+                    result = [];
+
+                gatePipe.lock();
+
+                gatePipe.on('data', function (chunk) {
+                    result.push(chunk);
+                });
+
+                gatePipe.write(1);
+                gatePipe.write(2);
+                gatePipe.write(3);
+                gatePipe.release(2);
+
+                setImmediate(function () {
+                    if (result.join(',') !== '1,2') {
+                        return done(new Error('Wrong amount of released chunks'));
+                    }
+                    gatePipe.release();
+                    gatePipe.write(4);
+                    setImmediate(function () {
+                        if (result.join(',') === '1,2,3' && gatePipe.queue.length === 1) {
+                            return done();
+                        }
+                        return done(new Error('Wrong amount of released chunks'));
+                    });
+                });
+            });
+            it('should not keep releases for chunks that are not queued', function (done) {
+                var gatePipe = new streamLib.Pipe.Gate({objectMode: true}),
+                    result = [];
+
+                gatePipe.on('data', function (chunk) {
+                    result.push(chunk);
+                });
+
+                gatePipe.release(2);
+                gatePipe.lock();
+                gatePipe.release(2);
+                gatePipe.write('a');
+                gatePipe.write('b');
+                gatePipe.write('c');
+
+                setImmediate(function () {
+                    if (result.length === 0 && gatePipe.queue.length === 3) {
+                        return done();
+                    }
+                    return done(new Error('Released chunks without a release: ' + result.join(',')));
+                });
+            });
+            it('should block upstream when the queue is full', function (done) {
+                var gatePipe = new streamLib.Pipe.Gate({objectMode: true, maxChunks: 2, highWaterMark: 1}),
+                    finished = false,
+                    result = [];
+
+                gatePipe.lock();
+                gatePipe.on('finish', function () {
+                    finished = true;
+                });
+                gatePipe.on('data', function (chunk) {
+                    result.push(chunk);
+                });
+                gatePipe.on('end', function () {
+                    if (result.join(',') === '1,2,3,4,5') {
+                        return done();
+                    }
+                    return done(new Error('Wrong content'));
+                });
+
+                gatePipe.write(1);
+                gatePipe.write(2);
+                gatePipe.write(3);
+                gatePipe.write(4);
+                gatePipe.write(5);
+                gatePipe.end();
+
+                setTimeout(function () {
+                    if (finished || gatePipe.queue.length !== 3) {
+                        return done(new Error('Does not block'));
+                    }
+                    gatePipe.unlock();
+                }, 10);
+            });
+            it('should drop the oldest chunks when the queue is full', function (done) {
+                var gatePipe = new streamLib.Pipe.Gate({maxBytes: 4, policy: 'drop-oldest'}),
+                    dropped = '',
+                    result = '';
+
+                gatePipe.lock();
+                gatePipe.on('drop', function (chunk) {
+                    dropped += chunk.toString();
+                });
+                gatePipe.on('data', function (chunk) {
+                    result += chunk.toString();
+                });
+                gatePipe.on('end', function () {
+                    if (result === 'cdef' && dropped === 'ab') {
+                        return done();
+                    }
+                    return done(new Error('Wrong content'));
+                });
+
+                gatePipe.write('ab');
+                gatePipe.write('cd');
+                gatePipe.write('ef');
+                gatePipe.end();
+
+                setTimeout(function () {
+                    gatePipe.unlock();
+                }, 10);
+            });
+            it('should emit an error when the queue is full', function (done) {
+                var gatePipe = new streamLib.Pipe.Gate({objectMode: true, maxChunks: 1, policy: 'error'});
+
+                gatePipe.lock();
+                gatePipe.on('error', function () {
+                    return done();
+                });
+
+                gatePipe.write(1);
+                gatePipe.write(2);
+            });
         });
 
         describe('ObjectMode', function () {
@@ -623,396 +1026,2760 @@ describe('streamLib', function () {
                 firstPipe.end();
             });
         });
-    });
 
-    describe('Measure', function () {
+        describe('Throttle', function () {
+            it('should limit the bytes per second', function (done) {
+                var throttlePipe = new streamLib.Pipe.Throttle({bytesPerSecond: 1000, burst: 100}),
+                    testStr = new Array(101).join('x'),
+                    length = 0,
+                    start = Date.now(),
+                    i;
 
-        describe('SinglePipe', function () {
-            it('should end measure if pipe has ended', function (done) {
-                var measure = new streamLib.Measure.SinglePipe(),
-                    nullStream = new streamLib.Null(false);
+                throttlePipe.on('data', function (chunk) {
+                    length += chunk.length;
+                });
+                throttlePipe.on('end', function () {
+                    var duration = Date.now() - start;
+                    if (length === 500 && duration >= 350) {
+                        return done();
+                    }
+                    return done(new Error('Wrong content or too fast: ' + duration));
+                });
 
-                measure.on('end', done);
+                for (i = 0; i < 5; i += 1) {
+                    throttlePipe.write(testStr);
+                }
+                throttlePipe.end();
+            });
+            it('should limit the chunks per second', function (done) {
+                var throttlePipe = new streamLib.Pipe.Throttle({objectMode: true}),
+                    chunks = 0,
+                    start = Date.now();
 
-                measure.measurePipe.pipe(nullStream);
-                measure.pipe(nullStream);
+                throttlePipe.chunksPerSecond = 20;
+                throttlePipe.chunkBurst = 1;
 
-                measure.measurePipe.end();
-            });
-        });
+                throttlePipe.on('data', function () {
+                    chunks += 1;
+                });
+                throttlePipe.on('end', function () {
+                    var duration = Date.now() - start;
+                    if (chunks === 5 && duration >= 180) {
+                        return done();
+                    }
+                    return done(new Error('Wrong amount or too fast: ' + duration));
+                });
 
-        describe('InletOutlet', function () {
-            it('should end measure if output pipe has ended', function (done) {
-                var measure = new streamLib.Measure.InletOutlet(),
-                    nullStream = new streamLib.Null(false);
+                throttlePipe.write({a: 1});
+                throttlePipe.write({a: 2});
+                throttlePipe.write({a: 3});
+                throttlePipe.write({a: 4});
+                throttlePipe.write({a: 5});
+                throttlePipe.end();
+            });
+            it('should split big chunks into burst sized pieces', function (done) {
+                var throttlePipe = new streamLib.Pipe.Throttle({bytesPerSecond: 100000, burst: 100}),
+                    pieces = 0,
+                    result = '',
+                    testStr = new Array(1001).join('y');
+
+                throttlePipe.on('data', function (chunk) {
+                    if (chunk.length > 100) {
+                        return done(new Error('Piece too big'));
+                    }
+                    pieces += 1;
+                    result += chunk.toString();
+                });
+                throttlePipe.on('end', function () {
+                    if (pieces === 10 && result === testStr) {
+                        return done();
+                    }
+                    return done(new Error('Wrong pieces or content'));
+                });
 
-                measure.on('end', done);
+                throttlePipe.write(testStr);
+                throttlePipe.end();
+            });
+            it('should change limits at runtime', function (done) {
+                var throttlePipe = new streamLib.Pipe.Throttle({chunksPerSecond: 0.1, chunkBurst: 1, objectMode: true}),
+                    chunks = 0;
 
+                throttlePipe.on('data', function () {
+                    chunks += 1;
+                });
+                throttlePipe.on('end', function () {
+                    if (chunks === 3) {
+                        return done();
+                    }
+                    return done(new Error('Wrong amount'));
+                });
 
-                measure.measureOutlet.pipe(nullStream);
-                measure.pipe(nullStream);
+                throttlePipe.write('first');
+                throttlePipe.write('second');
+                throttlePipe.write('third');
+                throttlePipe.end();
 
-                measure.measureOutlet.end();
+                setTimeout(function () {
+                    throttlePipe.setLimits({chunksPerSecond: 1000});
+                }, 20);
             });
-            it('should end measure with piped data ended', function (done) {
-                var measure = new streamLib.Measure.InletOutlet(),
-                    firstPipe = new streamLib.Pipe(),
-                    secondPipe = new streamLib.Pipe(),
-                    nullStream = new streamLib.Null(false);
+            it('should not count bytes while they are unlimited', function (done) {
+                var throttlePipe = new streamLib.Pipe.Throttle({chunksPerSecond: 1000}),
+                    testStr = new Array(1001).join('z'),
+                    i;
 
-                measure.on('end', done);
+                for (i = 0; i < 100; i += 1) {
+                    throttlePipe.write(testStr);
+                }
+                throttlePipe.resume();
 
+                setTimeout(function () {
+                    var start = Date.now();
 
-                firstPipe
-                    .pipe(measure.measureInlet)
-                    .pipe(secondPipe)
-                    .pipe(measure.measureOutlet)
-                    .pipe(nullStream);
+                    throttlePipe.setLimits({bytesPerSecond: 1000});
+                    throttlePipe.on('end', function () {
+                        if (Date.now() - start < 100) {
+                            return done();
+                        }
+                        return done(new Error('Delayed by the bytes before the limit'));
+                    });
+                    throttlePipe.end('small');
+                }, 20);
+            });
+            it('should clear its timer on destroy', function (done) {
+                var throttlePipe = new streamLib.Pipe.Throttle({chunksPerSecond: 10, chunkBurst: 1, objectMode: true}),
+                    chunks = 0;
 
-                measure.pipe(nullStream);
+                throttlePipe.on('data', function () {
+                    chunks += 1;
+                });
+                throttlePipe.write('first');
+                throttlePipe.write('second');
+                throttlePipe.destroy();
 
-                measure.measureOutlet.end();
+                if (throttlePipe.timeout) {
+                    return done(new Error('Timer is still running'));
+                }
+                setTimeout(function () {
+                    if (chunks === 1) {
+                        return done();
+                    }
+                    return done(new Error('Send a chunk after destroy'));
+                }, 150);
             });
         });
 
-        describe('Chunk', function () {
-            it('should count buffer length and chunks', function (done) {
-                var randomStream = new streamLib.Random(),
-                    measureChunks = new streamLib.Measure.Chunk(),
-                    nullStream = new streamLib.Null(false),
-                    countedLength = 0;
-
-                randomStream.countdown = BIGAMOUNT;
+        describe('Batch', function () {
+            it('should group objects by count', function (done) {
+                var batchPipe = new streamLib.Pipe.Batch({objectMode: true, maxCount: 2}),
+                    batches = [];
 
-                measureChunks.on('data', function (chunk) {
-                    countedLength += chunk.length;
+                batchPipe.on('data', function (batch) {
+                    batches.push(batch);
                 });
-
-                measureChunks.on('end', function () {
-                    if (countedLength === BIGAMOUNT) {
+                batchPipe.on('end', function () {
+                    if (JSON.stringify(batches) === '[[1,2],[3,4],[5]]') {
                         return done();
                     }
-                    return done(new Error('Wrong amount of buffer lengths'));
+                    return done(new Error('Wrong batches'));
                 });
 
-                randomStream
-                    .pipe(measureChunks.measurePipe)
-                    .pipe(nullStream);
-
+                batchPipe.write(1);
+                batchPipe.write(2);
+                batchPipe.write(3);
+                batchPipe.write(4);
+                batchPipe.write(5);
+                batchPipe.end();
             });
+            it('should concat buffers by size', function (done) {
+                var batchPipe = new streamLib.Pipe.Batch({maxBytes: 8}),
+                    batches = [];
 
+                batchPipe.on('data', function (batch) {
+                    batches.push(batch.toString());
+                });
+                batchPipe.on('end', function () {
+                    if (batches.join('|') === 'justa test|...') {
+                        return done();
+                    }
+                    return done(new Error('Wrong batches'));
+                });
 
-        });
+                batchPipe.write('just');
+                batchPipe.write('a');
+                batchPipe.write(' test');
+                batchPipe.write('...');
+                batchPipe.end();
+            });
+            it('should send a batch after maxWait', function (done) {
+                var batchPipe = new streamLib.Pipe.Batch({objectMode: true, maxCount: 100, maxWait: 20});
 
-        describe('Capacity', function () {
-            it('should record the capacity of a stream', function (done) {
-                var randomStream = new streamLib.Random(),
-                    capacityMeasure = new streamLib.Measure.Capacity(),
-                    nullStream = new streamLib.Null(false),
-                    even = true;
+                batchPipe.on('data', function (batch) {
+                    if (batch.length === 2) {
+                        return done();
+                    }
+                    return done(new Error('Wrong batch'));
+                });
 
+                batchPipe.write('a');
+                batchPipe.write('b');
+            });
+            it('should clear its timer on destroy', function (done) {
+                var batchPipe = new streamLib.Pipe.Batch({objectMode: true, maxWait: 10});
 
-                randomStream.countdown = BIGAMOUNT;
+                batchPipe.on('data', function () {
+                    done(new Error('Send a batch after destroy'));
+                });
+                batchPipe.write(1);
+                batchPipe.destroy();
 
-                capacityMeasure.on('data', function (chunk) {
-                    if (even) {
-                        even = false;
-                        if (chunk.capacity.chunks !== 1) {
-                            return done(new Error('Even chunk length was not 1'));
+                if (batchPipe.timeout) {
+                    return done(new Error('Timer is still running'));
+                }
+                setTimeout(done, 20);
+            });
+        });
+
+        describe('Unbatch', function () {
+            it('should split arrays into single chunks', function (done) {
+                var batchPipe = new streamLib.Pipe.Batch({objectMode: true, maxCount: 3}),
+                    unbatchPipe = new streamLib.Pipe.Unbatch(),
+                    chunks = [];
+
+                batchPipe.pipe(unbatchPipe);
+
+                unbatchPipe.on('data', function (chunk) {
+                    chunks.push(chunk);
+                });
+                unbatchPipe.on('end', function () {
+                    if (chunks.join(',') === 'a,b,c,d') {
+                        return done();
+                    }
+                    return done(new Error('Wrong chunks'));
+                });
+
+                batchPipe.write('a');
+                batchPipe.write('b');
+                batchPipe.write('c');
+                batchPipe.write('d');
+                batchPipe.end();
+            });
+        });
+
+        describe('Tee', function () {
+            it('should write into all attached destinations', function (done) {
+                var teeStream = new streamLib.Pipe.Tee(),
+                    firstPipe = new streamLib.Pipe(),
+                    secondPipe = new streamLib.Pipe(),
+                    testStr = 'just a test',
+                    firstStr = '',
+                    secondStr = '',
+                    ended = 0,
+                    onEnd = function () {
+                        ended += 1;
+                        if (ended < 2) {
+                            return;
                         }
-                    } else {
-                        even = true;
-                        if (chunk.capacity.chunks !== 0) {
-                            return done(new Error('Odd chunk length was not 0'));
+                        if (firstStr === testStr && secondStr === testStr) {
+                            return done();
                         }
+                        return done(new Error('Wrong content'));
+                    };
+
+                teeStream.attach(firstPipe);
+                teeStream.attach(secondPipe, {policy: 'buffer', size: 4});
+
+                firstPipe.on('data', function (chunk) {
+                    firstStr += chunk.toString();
+                });
+                secondPipe.on('data', function (chunk) {
+                    secondStr += chunk.toString();
+                });
+                firstPipe.on('end', onEnd);
+                secondPipe.on('end', onEnd);
+
+                teeStream.write(testStr);
+                teeStream.end();
+            });
+            it('should block on a slow destination', function (done) {
+                var teeStream = new streamLib.Pipe.Tee({objectMode: true}),
+                    slowPipe = new streamLib.Pipe({objectMode: true, highWaterMark: 1}),
+                    finished = false,
+                    received = 0,
+                    i;
+
+                teeStream.attach(slowPipe);
+                teeStream.on('finish', function () {
+                    finished = true;
+                });
+                slowPipe.on('end', function () {
+                    if (finished && received === 10) {
+                        return done();
                     }
+                    return done(new Error('Wrong amount'));
+                });
+
+                for (i = 0; i < 10; i += 1) {
+                    teeStream.write({index: i});
+                }
+                teeStream.end();
 
+                setTimeout(function () {
+                    if (finished) {
+                        return done(new Error('Tee does not block'));
+                    }
+                    slowPipe.on('data', function () {
+                        received += 1;
+                    });
+                }, 20);
+            });
+            it('should drop chunks on a slow destination and count them', function (done) {
+                var teeStream = new streamLib.Pipe.Tee({objectMode: true}),
+                    slowPipe = new streamLib.Pipe({objectMode: true, highWaterMark: 1}),
+                    branch = teeStream.attach(slowPipe, {policy: 'drop-oldest', size: 2}),
+                    drops = 0,
+                    received = [],
+                    i;
+
+                teeStream.on('drop', function (destination, chunk, dropped) {
+                    drops = dropped;
+                });
+                teeStream.on('finish', function () {
+                    slowPipe.on('data', function (chunk) {
+                        received.push(chunk);
+                    });
+                });
+                slowPipe.on('end', function () {
+                    if (drops > 0 && drops === branch.dropped && received.length + drops === 10 &&
+                            received[received.length - 1] === 9) {
+                        return done();
+                    }
+                    return done(new Error('Wrong amount of dropped chunks'));
                 });
 
-                capacityMeasure.on('end', done);
+                for (i = 0; i < 10; i += 1) {
+                    teeStream.write(i);
+                }
+                teeStream.end();
+            });
+            it('should detach a destination at runtime', function (done) {
+                var teeStream = new streamLib.Pipe.Tee(),
+                    firstPipe = new streamLib.Pipe(),
+                    secondPipe = new streamLib.Pipe(),
+                    firstStr = '',
+                    secondStr = '';
 
-                randomStream
-                    .pipe(capacityMeasure.measureInlet)
-                    .pipe(capacityMeasure.measureOutlet)
-                    .pipe(nullStream);
+                teeStream.attach(firstPipe);
+                teeStream.attach(secondPipe);
+
+                firstPipe.on('data', function (chunk) {
+                    firstStr += chunk.toString();
+                });
+                secondPipe.on('data', function (chunk) {
+                    secondStr += chunk.toString();
+                });
+                firstPipe.on('end', function () {
+                    if (firstStr === 'ab' && secondStr === 'a') {
+                        return done();
+                    }
+                    return done(new Error('Wrong content'));
+                });
+
+                teeStream.write('a');
+                teeStream.detach(secondPipe);
+                teeStream.write('b');
+                teeStream.end();
             });
-            it('should record the capacity of a stream with pipes', function (done) {
-                var randomStream = new streamLib.Random(),
-                    capacityMeasure = new streamLib.Measure.Capacity(),
-                    firstPipeStream = new streamLib.Pipe.Async(),
-                    secondPipeStream = new streamLib.Pipe.Async(),
-                    nullStream = new streamLib.Null(false),
-                    gotTwoChunks;
+        });
 
+        describe('Router', function () {
+            it('should route chunks to the first matching output', function (done) {
+                var routerStream = new streamLib.Pipe.Router({objectMode: true}),
+                    errors = routerStream.route('error', function (chunk) {
+                        return chunk.level === 'error';
+                    }),
+                    warnings = routerStream.route('warning', {
+                        test: function (chunk) {
+                            return chunk.level === 'warning' || chunk.level === 'error';
+                        }
+                    }),
+                    result = {error: 0, warning: 0, unmatched: 0},
+                    ended = 0,
+                    onEnd = function () {
+                        ended += 1;
+                        if (ended < 3) {
+                            return;
+                        }
+                        if (result.error === 2 && result.warning === 1 && result.unmatched === 1) {
+                            return done();
+                        }
+                        return done(new Error('Wrong routing'));
+                    };
 
-                randomStream.countdown = BIGAMOUNT;
+                errors.on('data', function () {
+                    result.error += 1;
+                });
+                warnings.on('data', function () {
+                    result.warning += 1;
+                });
+                routerStream.unmatched.on('data', function () {
+                    result.unmatched += 1;
+                });
+                errors.on('end', onEnd);
+                warnings.on('end', onEnd);
+                routerStream.unmatched.on('end', onEnd);
+
+                routerStream.write({level: 'error'});
+                routerStream.write({level: 'warning'});
+                routerStream.write({level: 'info'});
+                routerStream.write({level: 'error'});
+                routerStream.end();
+            });
+            it('should route chunks to all matching outputs', function (done) {
+                var routerStream = new streamLib.Pipe.Router({mode: 'all'}),
+                    justOutput = routerStream.route('just', /just/),
+                    testOutput = routerStream.route('test', /test/),
+                    justStr = '',
+                    testStr = '';
+
+                justOutput.on('data', function (chunk) {
+                    justStr += chunk.toString();
+                });
+                testOutput.on('data', function (chunk) {
+                    testStr += chunk.toString();
+                });
+                testOutput.on('end', function () {
+                    if (justStr === 'just a test' && testStr === 'just a testa test') {
+                        return done();
+                    }
+                    return done(new Error('Wrong routing'));
+                });
 
-                capacityMeasure.on('data', function (chunk) {
-                    if (chunk.capacity.chunks === 2) {
-                        gotTwoChunks = true;
+                routerStream.write('just a test');
+                routerStream.write('a test');
+                routerStream.end();
+            });
+            it('should only wait for outputs of the current chunk', function (done) {
+                var routerStream = new streamLib.Pipe.Router({objectMode: true, highWaterMark: 1}),
+                    slowOutput = routerStream.route('slow', function (chunk) {
+                        return chunk === 'slow';
+                    }),
+                    fastOutput = routerStream.route('fast', function (chunk) {
+                        return chunk === 'fast';
+                    }),
+                    fast = 0,
+                    slow = 0;
+
+                fastOutput.on('data', function () {
+                    fast += 1;
+                });
+
+                routerStream.write('fast');
+                routerStream.write('fast');
+                routerStream.write('slow');
+                routerStream.write('fast');
+                routerStream.write('slow');
+                routerStream.end();
+
+                setTimeout(function () {
+                    if (fast !== 2) {
+                        return done(new Error('Did not wait for the slow output'));
                     }
+                    slowOutput.on('data', function () {
+                        slow += 1;
+                    });
+                    fastOutput.on('end', function () {
+                        if (fast === 3 && slow === 2) {
+                            return done();
+                        }
+                        return done(new Error('Wrong amount'));
+                    });
+                }, 20);
+            });
+        });
+
+        describe('Merge', function () {
+            it('should merge sorted streams by key', function (done) {
+                var mergeStream = new streamLib.Pipe.Merge({objectMode: true, strategy: 'key', key: function (chunk) {
+                        return chunk.timestamp;
+                    }}),
+                    firstPipe = new streamLib.Pipe.Async({objectMode: true}),
+                    secondPipe = new streamLib.Pipe({objectMode: true}),
+                    thirdPipe = new streamLib.Pipe.Delay({objectMode: true}),
+                    result = [];
+
+                thirdPipe.delay = 5;
 
+                firstPipe.pipe(mergeStream);
+                secondPipe.pipe(mergeStream);
+                thirdPipe.pipe(mergeStream);
+
+                mergeStream.on('data', function (chunk) {
+                    result.push(chunk.timestamp);
+                });
+                mergeStream.on('end', function () {
+                    if (result.join(',') === '1,2,3,4,5,6,7,8,9') {
+                        return done();
+                    }
+                    return done(new Error('Wrong order: ' + result.join(',')));
                 });
 
-                capacityMeasure.on('end', function () {
-                    if (gotTwoChunks) {
+                firstPipe.write({timestamp: 1});
+                firstPipe.write({timestamp: 5});
+                firstPipe.write({timestamp: 6});
+                firstPipe.end();
+                secondPipe.write({timestamp: 2});
+                secondPipe.write({timestamp: 3});
+                secondPipe.write({timestamp: 9});
+                secondPipe.end();
+                thirdPipe.write({timestamp: 4});
+                thirdPipe.write({timestamp: 7});
+                thirdPipe.write({timestamp: 8});
+                thirdPipe.end();
+            });
+            it('should merge round-robin', function (done) {
+                var mergeStream = new streamLib.Pipe.Merge({objectMode: true}),
+                    firstPipe = new streamLib.Pipe({objectMode: true}),
+                    secondPipe = new streamLib.Pipe({objectMode: true}),
+                    result = [];
+
+                firstPipe.write('a1');
+                firstPipe.write('a2');
+                firstPipe.write('a3');
+                firstPipe.end();
+                secondPipe.write('b1');
+                secondPipe.write('b2');
+                secondPipe.end();
+
+                mergeStream.add(firstPipe);
+                mergeStream.add(secondPipe);
+
+                mergeStream.on('data', function (chunk) {
+                    result.push(chunk);
+                });
+                mergeStream.on('end', function () {
+                    if (result.join(',') === 'a1,b1,a2,b2,a3') {
                         return done();
                     }
-                    return done(new Error('Never got two chunks!'));
+                    return done(new Error('Wrong order: ' + result.join(',')));
                 });
+            });
+            it('should prefer sources with a higher priority', function (done) {
+                var mergeStream = new streamLib.Pipe.Merge({objectMode: true, strategy: 'priority'}),
+                    lowPipe = new streamLib.Pipe({objectMode: true}),
+                    highPipe = new streamLib.Pipe({objectMode: true}),
+                    result = [];
+
+                lowPipe.write('low1');
+                lowPipe.write('low2');
+                lowPipe.end();
+                highPipe.write('high1');
+                highPipe.write('high2');
+                highPipe.end();
+
+                mergeStream.add(lowPipe, {priority: 1});
+                mergeStream.add(highPipe, {priority: 10});
 
-                randomStream
-                    .pipe(capacityMeasure.measureInlet)
-                    .pipe(firstPipeStream)
-                    .pipe(secondPipeStream)
-                    .pipe(capacityMeasure.measureOutlet)
-                    .pipe(nullStream);
+                setTimeout(function () {
+                    mergeStream.on('data', function (chunk) {
+                        result.push(chunk);
+                    });
+                }, 10);
+                mergeStream.on('end', function () {
+                    if (result.join(',') === 'high1,high2,low1,low2') {
+                        return done();
+                    }
+                    return done(new Error('Wrong order: ' + result.join(',')));
+                });
+            });
+            it('should end when an unfinished source gets removed', function (done) {
+                var mergeStream = new streamLib.Pipe.Merge(),
+                    firstPipe = new streamLib.Pipe(),
+                    secondPipe = new streamLib.Pipe(),
+                    result = '';
 
-                capacityMeasure.pipe(nullStream);
+                firstPipe.pipe(mergeStream);
+                secondPipe.pipe(mergeStream);
+
+                mergeStream.on('data', function (chunk) {
+                    result += chunk.toString();
+                });
+                mergeStream.on('end', function () {
+                    if (result === 'just a test') {
+                        return done();
+                    }
+                    return done(new Error('Wrong content'));
+                });
+
+                firstPipe.end('just a test');
+                setTimeout(function () {
+                    mergeStream.remove(secondPipe);
+                }, 10);
+            });
+        });
+
+        describe('Zip', function () {
+            it('should zip streams until the shortest ends', function (done) {
+                var zipStream = new streamLib.Pipe.Zip(),
+                    firstPipe = new streamLib.Pipe({objectMode: true}),
+                    secondPipe = new streamLib.Pipe.Async({objectMode: true}),
+                    result = [];
+
+                firstPipe.pipe(zipStream);
+                secondPipe.pipe(zipStream);
+
+                zipStream.on('data', function (tuple) {
+                    result.push(tuple);
+                });
+                zipStream.on('end', function () {
+                    if (JSON.stringify(result) === '[["a",1],["b",2]]') {
+                        return done();
+                    }
+                    return done(new Error('Wrong tuples: ' + JSON.stringify(result)));
+                });
+
+                firstPipe.write('a');
+                firstPipe.write('b');
+                firstPipe.write('c');
+                firstPipe.end();
+                secondPipe.write(1);
+                secondPipe.write(2);
+                secondPipe.end();
+            });
+            it('should fill up to the longest stream', function (done) {
+                var zipStream = new streamLib.Pipe.Zip({mode: 'longest', fill: 0}),
+                    firstPipe = new streamLib.Pipe({objectMode: true}),
+                    secondPipe = new streamLib.Pipe({objectMode: true}),
+                    result = [];
+
+                zipStream.add(firstPipe).add(secondPipe);
+
+                zipStream.on('data', function (tuple) {
+                    result.push(tuple);
+                });
+                zipStream.on('end', function () {
+                    if (JSON.stringify(result) === '[["a",1],["b",0],["c",0]]') {
+                        return done();
+                    }
+                    return done(new Error('Wrong tuples: ' + JSON.stringify(result)));
+                });
+
+                firstPipe.write('a');
+                firstPipe.write('b');
+                firstPipe.write('c');
+                firstPipe.end();
+                secondPipe.write(1);
+                secondPipe.end();
+            });
+            it('should stop zipping a source that gets unpiped', function (done) {
+                var zipStream = new streamLib.Pipe.Zip({mode: 'longest'}),
+                    firstPipe = new streamLib.Pipe({objectMode: true}),
+                    secondPipe = new streamLib.Pipe({objectMode: true}),
+                    result = [];
+
+                firstPipe.pipe(zipStream);
+                secondPipe.pipe(zipStream);
+
+                zipStream.on('data', function (tuple) {
+                    result.push(tuple);
+                });
+                zipStream.on('end', function () {
+                    if (JSON.stringify(result) === '[[1,"x"],[2,null]]') {
+                        return done();
+                    }
+                    return done(new Error('Wrong tuples: ' + JSON.stringify(result)));
+                });
+
+                firstPipe.write(1);
+                secondPipe.write('x');
+                setImmediate(function () {
+                    secondPipe.unpipe(zipStream);
+                    secondPipe.write('y');
+                    firstPipe.write(2);
+                    firstPipe.end();
+                });
+            });
+            it('should emit an error on different lengths in strict mode', function (done) {
+                var zipStream = new streamLib.Pipe.Zip({mode: 'strict'}),
+                    firstPipe = new streamLib.Pipe({objectMode: true}),
+                    secondPipe = new streamLib.Pipe({objectMode: true}),
+                    tuples = 0,
+                    ended = false;
+
+                firstPipe.pipe(zipStream);
+                secondPipe.pipe(zipStream);
+
+                zipStream.on('data', function () {
+                    tuples += 1;
+                });
+                zipStream.on('end', function () {
+                    ended = true;
+                });
+                zipStream.on('error', function () {
+                    setTimeout(function () {
+                        if (tuples === 1 && !ended) {
+                            return done();
+                        }
+                        return done(new Error('Wrong amount of tuples or ended after the error'));
+                    }, 10);
+                });
+
+                firstPipe.write('a');
+                firstPipe.write('b');
+                firstPipe.end();
+                secondPipe.write(1);
+                secondPipe.end();
+            });
+        });
+
+        describe('Retry', function () {
+            it('should retry failed chunks', function (done) {
+                var attempts = {},
+                    retryPipe = new streamLib.Pipe.Retry(function (chunk, callback) {
+                        var str = chunk.toString();
+                        attempts[str] = (attempts[str] || 0) + 1;
+                        if (attempts[str] < 3) {
+                            return callback(new Error('Transient error'));
+                        }
+                        callback(null, str.toUpperCase());
+                    }, {minDelay: 1, maxDelay: 5}),
+                    retries = 0,
+                    result = '';
+
+                retryPipe.on('retry', function () {
+                    retries += 1;
+                });
+                retryPipe.on('data', function (chunk) {
+                    result += chunk.toString();
+                });
+                retryPipe.on('end', function () {
+                    if (result === 'AB' && retries === 4) {
+                        return done();
+                    }
+                    return done(new Error('Wrong content or retries'));
+                });
+
+                retryPipe.write('a');
+                retryPipe.write('b');
+                retryPipe.end();
+            });
+            it('should send chunks to the dead letter stream after all retries', function (done) {
+                var retryPipe = new streamLib.Pipe.Retry(function (chunk) {
+                        if (chunk === 'bad') {
+                            return Promise.reject(new Error('Permanent error'));
+                        }
+                        return Promise.resolve(chunk);
+                    }, {objectMode: true, retries: 2, minDelay: 1}),
+                    failed = [],
+                    result = [];
+
+                retryPipe.on('failed', function (chunk) {
+                    failed.push(chunk);
+                });
+                retryPipe.deadLetter.on('data', function (letter) {
+                    if (letter.chunk !== 'bad' || !(letter.error instanceof Error)) {
+                        return done(new Error('Wrong dead letter'));
+                    }
+                });
+                retryPipe.on('data', function (chunk) {
+                    result.push(chunk);
+                });
+                retryPipe.deadLetter.on('end', function () {
+                    if (result.join(',') === 'good,fine' && failed.join(',') === 'bad') {
+                        return done();
+                    }
+                    return done(new Error('Wrong content'));
+                });
+
+                retryPipe.write('good');
+                retryPipe.write('bad');
+                retryPipe.write('fine');
+                retryPipe.end();
+            });
+            it('should continue with the next chunks in unordered mode', function (done) {
+                var failedOnce = false,
+                    retryPipe = new streamLib.Pipe.Retry(function (chunk, callback) {
+                        if (chunk === 'first' && !failedOnce) {
+                            failedOnce = true;
+                            return callback(new Error('Transient error'));
+                        }
+                        callback(null, chunk);
+                    }, {objectMode: true, unordered: true, minDelay: 20, jitter: 0}),
+                    result = [];
+
+                retryPipe.on('data', function (chunk) {
+                    result.push(chunk);
+                });
+                retryPipe.on('end', function () {
+                    if (result.join(',') === 'second,third,first') {
+                        return done();
+                    }
+                    return done(new Error('Wrong order: ' + result.join(',')));
+                });
+
+                retryPipe.write('first');
+                retryPipe.write('second');
+                retryPipe.write('third');
+                retryPipe.end();
+            });
+        });
+
+        describe('Parallel', function () {
+            it('should map chunks concurrently in order', function (done) {
+                var running = 0,
+                    maxRunning = 0,
+                    parallelPipe = new streamLib.Pipe.Parallel(function (chunk, callback) {
+                        running += 1;
+                        maxRunning = Math.max(running, maxRunning);
+                        setTimeout(function () {
+                            running -= 1;
+                            callback(null, chunk * 2);
+                        }, 20 - chunk * 2);
+                    }, {objectMode: true, concurrency: 3}),
+                    result = [],
+                    i;
+
+                parallelPipe.on('data', function (chunk) {
+                    result.push(chunk);
+                });
+                parallelPipe.on('end', function () {
+                    if (result.join(',') === '2,4,6,8,10,12,14,16' && maxRunning === 3) {
+                        return done();
+                    }
+                    return done(new Error('Wrong order or concurrency: ' + result.join(',') + ' ' + maxRunning));
+                });
+
+                for (i = 1; i <= 8; i += 1) {
+                    parallelPipe.write(i);
+                }
+                parallelPipe.end();
+            });
+            it('should send results as they are done in unordered mode', function (done) {
+                var parallelPipe = new streamLib.Pipe.Parallel(function (chunk) {
+                        return new Promise(function (resolve) {
+                            setTimeout(function () {
+                                resolve(chunk);
+                            }, chunk === 'slow' ? 30 : 1);
+                        });
+                    }, {objectMode: true, unordered: true}),
+                    result = [];
+
+                parallelPipe.on('data', function (chunk) {
+                    result.push(chunk);
+                });
+                parallelPipe.on('end', function () {
+                    if (result.join(',') === 'fast,quick,slow') {
+                        return done();
+                    }
+                    return done(new Error('Wrong order: ' + result.join(',')));
+                });
+
+                parallelPipe.write('slow');
+                parallelPipe.write('fast');
+                parallelPipe.write('quick');
+                parallelPipe.end();
+            });
+            it('should pause upstream when the reorder buffer is full', function (done) {
+                var started = [],
+                    callbacks = {},
+                    parallelPipe = new streamLib.Pipe.Parallel(function (chunk, callback) {
+                        started.push(chunk);
+                        callbacks[chunk] = callback;
+                        if (chunk !== 0) {
+                            callback(null, chunk);
+                        }
+                    }, {objectMode: true, concurrency: 2, bufferSize: 2}),
+                    result = [],
+                    i;
+
+                parallelPipe.on('data', function (chunk) {
+                    result.push(chunk);
+                });
+                parallelPipe.on('end', function () {
+                    if (result.join(',') === '0,1,2,3,4,5') {
+                        return done();
+                    }
+                    return done(new Error('Wrong order: ' + result.join(',')));
+                });
+
+                for (i = 0; i < 6; i += 1) {
+                    parallelPipe.write(i);
+                }
+                parallelPipe.end();
+
+                setTimeout(function () {
+                    if (started.length !== 3) {
+                        return done(new Error('Does not respect the buffer size: ' + started.length));
+                    }
+                    callbacks[0](null, 0);
+                }, 10);
+            });
+            it('should fail the stream if a chunk fails', function (done) {
+                var parallelPipe = new streamLib.Pipe.Parallel(function (chunk, callback) {
+                        setTimeout(function () {
+                            callback(chunk === 2 ? new Error('Failed') : null, chunk);
+                        }, 5);
+                    }, {objectMode: true, concurrency: 2}),
+                    ended = false,
+                    i;
+
+                parallelPipe.on('end', function () {
+                    ended = true;
+                });
+                parallelPipe.on('error', function (err) {
+                    setTimeout(function () {
+                        if (err.message === 'Failed' && !ended) {
+                            return done();
+                        }
+                        return done(new Error('Ended without the failed chunk'));
+                    }, 30);
+                });
+                parallelPipe.resume();
+
+                for (i = 1; i <= 4; i += 1) {
+                    parallelPipe.write(i);
+                }
+                parallelPipe.end();
+            });
+        });
+
+        describe('Window', function () {
+            it('should group chunks into tumbling windows by count', function (done) {
+                var windowPipe = new streamLib.Pipe.Window({size: 2}),
+                    result = [],
+                    i;
+
+                windowPipe.on('data', function (window) {
+                    if (typeof window.start !== 'number' || window.end < window.start) {
+                        return done(new Error('Wrong timestamps'));
+                    }
+                    result.push(window.chunks.join(''));
+                });
+                windowPipe.on('end', function () {
+                    if (result.join(',') === '12,34,5') {
+                        return done();
+                    }
+                    return done(new Error('Wrong windows: ' + result.join(',')));
+                });
+
+                for (i = 1; i <= 5; i += 1) {
+                    windowPipe.write(i);
+                }
+                windowPipe.end();
+            });
+            it('should group chunks into sliding windows by event time', function (done) {
+                var windowPipe = new streamLib.Pipe.Window({
+                        type: 'sliding',
+                        duration: 10,
+                        slide: 5,
+                        eventTime: function (chunk) {
+                            return chunk;
+                        }
+                    }),
+                    result = [];
+
+                windowPipe.on('data', function (window) {
+                    result.push(window.start + '-' + window.end + ':' + window.chunks.join('|'));
+                });
+                windowPipe.on('end', function () {
+                    if (result.join(',') === '-5-5:1|3,0-10:1|3|7,5-15:7|12,10-20:12') {
+                        return done();
+                    }
+                    return done(new Error('Wrong windows: ' + result.join(',')));
+                });
+
+                windowPipe.write(1);
+                windowPipe.write(3);
+                windowPipe.write(7);
+                windowPipe.write(12);
+                windowPipe.end();
+            });
+            it('should drop chunks later than the allowed lateness', function (done) {
+                var windowPipe = new streamLib.Pipe.Window({
+                        duration: 10,
+                        allowedLateness: 5,
+                        eventTime: function (chunk) {
+                            return chunk;
+                        }
+                    }),
+                    late = [],
+                    result = [];
+
+                windowPipe.on('late', function (chunk) {
+                    late.push(chunk);
+                });
+                windowPipe.on('data', function (window) {
+                    result.push(window.chunks.join('|'));
+                });
+                windowPipe.on('end', function () {
+                    if (result.join(',') === '2|8,12|16|14' && late.join(',') === '3') {
+                        return done();
+                    }
+                    return done(new Error('Wrong windows: ' + result.join(',') + ' ' + late.join(',')));
+                });
+
+                windowPipe.write(2);
+                windowPipe.write(12);
+                windowPipe.write(8);  // late, but allowed
+                windowPipe.write(16); // closes the first window
+                windowPipe.write(3);  // too late
+                windowPipe.write(14);
+                windowPipe.end();
+            });
+            it('should close session windows after a gap', function (done) {
+                var windowPipe = new streamLib.Pipe.Window({type: 'session', gap: 20}),
+                    result = [];
+
+                windowPipe.on('data', function (window) {
+                    result.push(window.chunks.join(''));
+                    if (result.length === 1 && result[0] === 'ab') {
+                        windowPipe.write('c');
+                        windowPipe.end();
+                    }
+                });
+                windowPipe.on('end', function () {
+                    if (result.join(',') === 'ab,c') {
+                        return done();
+                    }
+                    return done(new Error('Wrong windows: ' + result.join(',')));
+                });
+
+                windowPipe.write('a');
+                windowPipe.write('b');
+            });
+            it('should clear its timer on destroy', function (done) {
+                var windowPipe = new streamLib.Pipe.Window({type: 'session', gap: 10});
+
+                windowPipe.on('data', function () {
+                    done(new Error('Send a window after destroy'));
+                });
+                windowPipe.write('a');
+                windowPipe.destroy();
+
+                if (windowPipe.timeout) {
+                    return done(new Error('Timer is still running'));
+                }
+                setTimeout(done, 20);
+            });
+        });
+
+        describe('Debounce', function () {
+            it('should send the last chunk after a quiet period', function (done) {
+                var debouncePipe = new streamLib.Pipe.Debounce({objectMode: true, wait: 10}),
+                    result = [];
+
+                debouncePipe.on('data', function (chunk) {
+                    result.push(chunk);
+                });
+                debouncePipe.on('end', function () {
+                    if (result.join(',') === 'c,e') {
+                        return done();
+                    }
+                    return done(new Error('Wrong content: ' + result.join(',')));
+                });
+
+                debouncePipe.write('a');
+                debouncePipe.write('b');
+                debouncePipe.write('c');
+                setTimeout(function () {
+                    debouncePipe.write('d');
+                    debouncePipe.write('e');
+                    debouncePipe.end();
+                }, 30);
+            });
+            it('should send leading chunks and drop pending chunks on end without trailing', function (done) {
+                var debouncePipe = new streamLib.Pipe.Debounce({objectMode: true, wait: 10, leading: true, trailing: false}),
+                    result = [];
+
+                debouncePipe.on('data', function (chunk) {
+                    result.push(chunk);
+                });
+                debouncePipe.on('end', function () {
+                    if (result.join(',') === 'a,d') {
+                        return done();
+                    }
+                    return done(new Error('Wrong content: ' + result.join(',')));
+                });
+
+                debouncePipe.write('a');
+                debouncePipe.write('b');
+                debouncePipe.write('c');
+                setTimeout(function () {
+                    debouncePipe.write('d');
+                    debouncePipe.write('e');
+                    debouncePipe.end();
+                }, 30);
+            });
+            it('should send chunks of a long burst after maxWait', function (done) {
+                var debouncePipe = new streamLib.Pipe.Debounce({objectMode: true, wait: 20, maxWait: 30}),
+                    counter = 0,
+                    result = [],
+                    interval = setInterval(function () {
+                        counter += 1;
+                        debouncePipe.write(counter);
+                        if (counter === 10) {
+                            clearInterval(interval);
+                            debouncePipe.end();
+                        }
+                    }, 5);
+
+                debouncePipe.on('data', function (chunk) {
+                    result.push(chunk);
+                });
+                debouncePipe.on('end', function () {
+                    if (result.length > 1 && result[result.length - 1] === 10) {
+                        return done();
+                    }
+                    return done(new Error('Wrong content: ' + result.join(',')));
+                });
+            });
+            it('should clear its timers on destroy', function (done) {
+                var debouncePipe = new streamLib.Pipe.Debounce({objectMode: true, wait: 10, maxWait: 20});
+
+                debouncePipe.on('data', function () {
+                    done(new Error('Send a chunk after destroy'));
+                });
+                debouncePipe.write('a');
+                debouncePipe.destroy();
+
+                if (debouncePipe.timeout || debouncePipe.maxTimeout) {
+                    return done(new Error('Timers are still running'));
+                }
+                setTimeout(done, 30);
+            });
+        });
+
+        describe('Sample', function () {
+            it('should send the latest chunk every interval', function (done) {
+                var samplePipe = new streamLib.Pipe.Sample({objectMode: true, interval: 20}),
+                    counter = 0,
+                    result = [],
+                    interval = setInterval(function () {
+                        counter += 1;
+                        samplePipe.write(counter);
+                        if (counter === 20) {
+                            clearInterval(interval);
+                            samplePipe.end();
+                        }
+                    }, 5);
+
+                samplePipe.on('data', function (chunk) {
+                    result.push(chunk);
+                });
+                samplePipe.on('end', function () {
+                    if (result.length > 1 && result.length < 10 && result[result.length - 1] === 20) {
+                        return done();
+                    }
+                    return done(new Error('Wrong content: ' + result.join(',')));
+                });
+            });
+            it('should drop the latest chunk on end without flushOnEnd', function (done) {
+                var samplePipe = new streamLib.Pipe.Sample({objectMode: true, interval: 1000, flushOnEnd: false}),
+                    result = [];
+
+                samplePipe.on('data', function (chunk) {
+                    result.push(chunk);
+                });
+                samplePipe.on('end', function () {
+                    if (result.length === 0) {
+                        return done();
+                    }
+                    return done(new Error('Send a chunk'));
+                });
+
+                samplePipe.write('a');
+                samplePipe.end();
+            });
+            it('should stop the interval when nothing is pending', function (done) {
+                var samplePipe = new streamLib.Pipe.Sample({objectMode: true, interval: 10}),
+                    result = [];
+
+                samplePipe.on('data', function (chunk) {
+                    result.push(chunk);
+                });
+                samplePipe.write('a');
+
+                setTimeout(function () {
+                    if (samplePipe.timer) {
+                        return done(new Error('Interval is still running'));
+                    }
+                    samplePipe.write('b');
+                    setTimeout(function () {
+                        if (result.join(',') === 'a,b') {
+                            return done();
+                        }
+                        return done(new Error('Wrong content: ' + result.join(',')));
+                    }, 15);
+                }, 35);
+            });
+            it('should clear its interval on destroy', function (done) {
+                var samplePipe = new streamLib.Pipe.Sample({objectMode: true, interval: 10});
+
+                samplePipe.on('data', function () {
+                    done(new Error('Send a chunk after destroy'));
+                });
+                samplePipe.write('a');
+                samplePipe.destroy();
+
+                if (samplePipe.timer) {
+                    return done(new Error('Interval is still running'));
+                }
+                setTimeout(done, 20);
+            });
+        });
+
+        describe('Join', function () {
+            it('should join with the latest chunk of a table', function (done) {
+                var joinStream = new streamLib.Pipe.Join({
+                        type: 'left',
+                        leftKey: function (event) {
+                            return event.userId;
+                        },
+                        rightKey: function (user) {
+                            return user.id;
+                        },
+                        merge: function (event, user) {
+                            return event.name + ':' + (user ? user.name : '-');
+                        }
+                    }),
+                    result = [];
+
+                joinStream.on('data', function (chunk) {
+                    result.push(chunk);
+                });
+                joinStream.on('end', function () {
+                    if (result.join(',') === 'login:Arne,login:-,logout:Arnie') {
+                        return done();
+                    }
+                    return done(new Error('Wrong result: ' + result.join(',')));
+                });
+
+                joinStream.right.write({id: 1, name: 'Arne'});
+                joinStream.left.write({userId: 1, name: 'login'});
+                joinStream.left.write({userId: 2, name: 'login'});
+                joinStream.right.write({id: 1, name: 'Arnie'});
+                joinStream.left.write({userId: 1, name: 'logout'});
+                joinStream.left.end();
+            });
+            it('should drop unmatched chunks in an inner join', function (done) {
+                var joinStream = new streamLib.Pipe.Join(),
+                    result = [];
+
+                joinStream.on('data', function (chunk) {
+                    result.push(chunk[0].value + chunk[1].value);
+                });
+                joinStream.on('end', function () {
+                    if (result.join(',') === 'ab') {
+                        return done();
+                    }
+                    return done(new Error('Wrong result: ' + result.join(',')));
+                });
+
+                joinStream.right.write({key: 1, value: 'b'});
+                joinStream.left.write({key: 1, value: 'a'});
+                joinStream.left.write({key: 2, value: 'c'});
+                joinStream.left.end();
+            });
+            it('should join chunks within a time window', function (done) {
+                var joinStream = new streamLib.Pipe.Join({
+                        mode: 'window',
+                        type: 'left',
+                        window: 10,
+                        eventTime: function (chunk) {
+                            return chunk.time;
+                        },
+                        merge: function (left, right) {
+                            return left.time + '-' + (right ? right.time : 'null');
+                        }
+                    }),
+                    result = [];
+
+                joinStream.on('data', function (chunk) {
+                    result.push(chunk);
+                });
+                joinStream.on('end', function () {
+                    if (result.join(',') === '0-5,30-null,40-45,40-50') {
+                        return done();
+                    }
+                    return done(new Error('Wrong result: ' + result.join(',')));
+                });
+
+                joinStream.left.write({key: 'a', time: 0});
+                joinStream.right.write({key: 'a', time: 5});
+                joinStream.left.write({key: 'a', time: 30});
+                joinStream.left.write({key: 'a', time: 40});
+                joinStream.right.write({key: 'a', time: 45});
+                joinStream.right.write({key: 'a', time: 50});
+                joinStream.right.write({key: 'b', time: 52});
+                joinStream.left.end();
+                joinStream.right.end();
+            });
+        });
+
+        describe('Sort', function () {
+            it('should sort in memory', function (done) {
+                var sortStream = new streamLib.Pipe.Sort({objectMode: true}),
+                    result = [];
+
+                sortStream.on('data', function (chunk) {
+                    result.push(chunk);
+                });
+                sortStream.on('spill', function () {
+                    done(new Error('Spilled without exceeding the budget'));
+                });
+                sortStream.on('end', function () {
+                    if (result.join(',') === '1,2,3,5,8') {
+                        return done();
+                    }
+                    return done(new Error('Wrong result: ' + result.join(',')));
+                });
+
+                [5, 3, 8, 1, 2].forEach(function (value) {
+                    sortStream.write(value);
+                });
+                sortStream.end();
+            });
+            it('should spill runs into temporary files and merge them', function (done) {
+                var fs = require('fs'),
+                    sortStream = new streamLib.Pipe.Sort({
+                        objectMode: true,
+                        maxChunks: 3,
+                        highWaterMark: 2,
+                        compare: function (a, b) {
+                            return a.value - b.value;
+                        }
+                    }),
+                    files = [],
+                    result = [];
+
+                sortStream.on('spill', function (file, count) {
+                    if (count !== 3) {
+                        return done(new Error('Wrong run size ' + count));
+                    }
+                    files.push(file);
+                });
+                sortStream.on('end', function () {
+                    if (files.length !== 3) {
+                        return done(new Error('Wrong amount of runs: ' + files.length));
+                    }
+                    if (files.some(fs.existsSync)) {
+                        return done(new Error('Temporary files were not removed'));
+                    }
+                    if (result.join(',') === '0,1,2,3,4,5,6,7,8,9') {
+                        return done();
+                    }
+                    return done(new Error('Wrong result: ' + result.join(',')));
+                });
+
+                [7, 3, 9, 0, 5, 1, 8, 2, 6, 4].forEach(function (value) {
+                    sortStream.write({value: value});
+                });
+                sortStream.end();
+
+                setTimeout(function () {
+                    sortStream.on('data', function (chunk) {
+                        result.push(chunk.value);
+                    });
+                }, 20);
+            });
+            it('should sort buffers by bytes', function (done) {
+                var sortStream = new streamLib.Pipe.Sort({maxBytes: 4}),
+                    result = [];
+
+                sortStream.on('data', function (chunk) {
+                    result.push(chunk.toString());
+                });
+                sortStream.on('end', function () {
+                    if (result.join(',') === 'aa,ab,ba,bb,ca') {
+                        return done();
+                    }
+                    return done(new Error('Wrong result: ' + result.join(',')));
+                });
+
+                ['ca', 'ab', 'bb', 'aa', 'ba'].forEach(function (value) {
+                    sortStream.write(value);
+                });
+                sortStream.end();
+            });
+            it('should spill objects by the size of their records', function (done) {
+                var sortStream = new streamLib.Pipe.Sort({
+                        objectMode: true,
+                        maxChunks: 0,
+                        maxBytes: 30,
+                        compare: function (a, b) {
+                            return a.name < b.name ? -1 : (a.name > b.name ? 1 : 0);
+                        }
+                    }),
+                    spills = 0,
+                    result = [];
+
+                sortStream.on('spill', function () {
+                    spills += 1;
+                });
+                sortStream.on('data', function (chunk) {
+                    result.push(chunk.name);
+                });
+                sortStream.on('end', function () {
+                    if (spills === 1 && result.join(',') === 'a,b,c,d') {
+                        return done();
+                    }
+                    return done(new Error('Wrong spills or result: ' + spills + ' ' + result.join(',')));
+                });
+
+                ['d', 'b', 'c', 'a'].forEach(function (name) {
+                    sortStream.write({name: name});
+                });
+                sortStream.end();
+            });
+            it('should serialize measured objects only once', function (done) {
+                var serialized = 0,
+                    spills = 0,
+                    sortStream = new streamLib.Pipe.Sort({
+                        objectMode: true,
+                        maxChunks: 0,
+                        maxBytes: 9,
+                        serializer: {
+                            serialize: function (chunk) {
+                                serialized += 1;
+                                return JSON.stringify(chunk);
+                            },
+                            deserialize: streamLib.Pipe.Sort.serializers.json.deserialize
+                        }
+                    }),
+                    result = [];
+
+                sortStream.on('data', function (chunk) {
+                    result.push(chunk);
+                });
+                sortStream.on('spill', function () {
+                    spills += 1;
+                });
+                sortStream.on('end', function () {
+                    if (spills === 1 && serialized === 3 && result.join(',') === '1,2,3') {
+                        return done();
+                    }
+                    return done(new Error('Wrong serializations or result: ' + serialized + ' ' + result.join(',')));
+                });
+
+                sortStream.write([3]);
+                sortStream.write([1]);
+                sortStream.write([2]);
+                sortStream.end();
+            });
+            it('should remove the temporary files on destroy', function (done) {
+                var fs = require('fs'),
+                    sortStream = new streamLib.Pipe.Sort({objectMode: true, maxChunks: 1}),
+                    files = [];
+
+                sortStream.on('spill', function (file) {
+                    files.push(file);
+                    if (files.length === 2) {
+                        sortStream.destroy();
+                    }
+                });
+                sortStream.on('close', function () {
+                    if (files.length === 2 && !files.some(fs.existsSync)) {
+                        return done();
+                    }
+                    return done(new Error('Temporary files were not removed'));
+                });
+
+                sortStream.write(2);
+                sortStream.write(1);
+            });
+        });
+    });
+
+    describe('Measure', function () {
+
+        describe('SinglePipe', function () {
+            it('should end measure if pipe has ended', function (done) {
+                var measure = new streamLib.Measure.SinglePipe(),
+                    nullStream = new streamLib.Null(false);
+
+                measure.on('end', done);
+
+                measure.measurePipe.pipe(nullStream);
+                measure.pipe(nullStream);
+
+                measure.measurePipe.end();
+            });
+        });
+
+        describe('InletOutlet', function () {
+            it('should end measure if output pipe has ended', function (done) {
+                var measure = new streamLib.Measure.InletOutlet(),
+                    nullStream = new streamLib.Null(false);
+
+                measure.on('end', done);
+
+
+                measure.measureOutlet.pipe(nullStream);
+                measure.pipe(nullStream);
+
+                measure.measureOutlet.end();
+            });
+            it('should end measure with piped data ended', function (done) {
+                var measure = new streamLib.Measure.InletOutlet(),
+                    firstPipe = new streamLib.Pipe(),
+                    secondPipe = new streamLib.Pipe(),
+                    nullStream = new streamLib.Null(false);
+
+                measure.on('end', done);
+
+
+                firstPipe
+                    .pipe(measure.measureInlet)
+                    .pipe(secondPipe)
+                    .pipe(measure.measureOutlet)
+                    .pipe(nullStream);
+
+                measure.pipe(nullStream);
+
+                measure.measureOutlet.end();
+            });
+        });
+
+        describe('Chunk', function () {
+            it('should count buffer length and chunks', function (done) {
+                var randomStream = new streamLib.Random(),
+                    measureChunks = new streamLib.Measure.Chunk(),
+                    nullStream = new streamLib.Null(false),
+                    countedLength = 0;
+
+                randomStream.countdown = BIGAMOUNT;
+
+                measureChunks.on('data', function (chunk) {
+                    countedLength += chunk.length;
+                });
+
+                measureChunks.on('end', function () {
+                    if (countedLength === BIGAMOUNT) {
+                        return done();
+                    }
+                    return done(new Error('Wrong amount of buffer lengths'));
+                });
+
+                randomStream
+                    .pipe(measureChunks.measurePipe)
+                    .pipe(nullStream);
+
+            });
+
+
+        });
+
+        describe('Capacity', function () {
+            it('should record the capacity of a stream', function (done) {
+                var randomStream = new streamLib.Random(),
+                    capacityMeasure = new streamLib.Measure.Capacity(),
+                    nullStream = new streamLib.Null(false),
+                    even = true;
+
+
+                randomStream.countdown = BIGAMOUNT;
+
+                capacityMeasure.on('data', function (chunk) {
+                    if (even) {
+                        even = false;
+                        if (chunk.capacity.chunks !== 1) {
+                            return done(new Error('Even chunk length was not 1'));
+                        }
+                    } else {
+                        even = true;
+                        if (chunk.capacity.chunks !== 0) {
+                            return done(new Error('Odd chunk length was not 0'));
+                        }
+                    }
+
+                });
+
+                capacityMeasure.on('end', done);
+
+                randomStream
+                    .pipe(capacityMeasure.measureInlet)
+                    .pipe(capacityMeasure.measureOutlet)
+                    .pipe(nullStream);
+            });
+            it('should record the capacity of a stream with pipes', function (done) {
+                var randomStream = new streamLib.Random(),
+                    capacityMeasure = new streamLib.Measure.Capacity(),
+                    firstPipeStream = new streamLib.Pipe.Async(),
+                    secondPipeStream = new streamLib.Pipe.Async(),
+                    nullStream = new streamLib.Null(false),
+                    gotTwoChunks;
+
+
+                randomStream.countdown = BIGAMOUNT;
+
+                capacityMeasure.on('data', function (chunk) {
+                    if (chunk.capacity.chunks === 2) {
+                        gotTwoChunks = true;
+                    }
+
+                });
+
+                capacityMeasure.on('end', function () {
+                    if (gotTwoChunks) {
+                        return done();
+                    }
+                    return done(new Error('Never got two chunks!'));
+                });
+
+                randomStream
+                    .pipe(capacityMeasure.measureInlet)
+                    .pipe(firstPipeStream)
+                    .pipe(secondPipeStream)
+                    .pipe(capacityMeasure.measureOutlet)
+                    .pipe(nullStream);
+
+                capacityMeasure.pipe(nullStream);
+            });
+        });
+
+        describe('Latency', function () {
+            it('should record the latency of a stream', function (done) {
+                var randomStream = new streamLib.Random(),
+                    latencyMeasure = new streamLib.Measure.Latency(),
+                    nullStream = new streamLib.Null(false);
+
+
+                randomStream.countdown = BIGAMOUNT;
+
+                latencyMeasure.on('data', function (chunk) {
+                    if (chunk.latency < 0 || chunk.latency > 5) {
+                        return done(new Error('Wrong latency'));
+                    }
+
+                });
+
+                latencyMeasure.on('end', done);
+
+                randomStream
+                    .pipe(latencyMeasure.measureInlet)
+                    .pipe(latencyMeasure.measureOutlet)
+                    .pipe(nullStream);
+            });
+
+            it('should record the latency of a stream with delay', function (done) {
+                var randomStream = new streamLib.Random(),
+                    latencyMeasure = new streamLib.Measure.Latency(),
+                    delayStream = new streamLib.Pipe.Delay(),
+                    nullStream = new streamLib.Null(false);
+
+
+                randomStream.countdown = BIGAMOUNT;
+                delayStream.delay = 10;
+                latencyMeasure.on('data', function (chunk) {
+                    if (chunk.latency < 10) {
+                        return done(new Error('Wrong latency'));
+                    }
+
+                });
+
+                latencyMeasure.on('end', done);
+
+                randomStream
+                    .pipe(latencyMeasure.measureInlet)
+                    .pipe(delayStream)
+                    .pipe(latencyMeasure.measureOutlet)
+                    .pipe(nullStream);
+            });
+        });
+    });
+
+    describe('Buffer', function () {
+        it('should buffer a random stream', function (done) {
+            var buffer, random, randomData = [], bufferData = [];
+
+            random = new streamLib.Random.Alphanumeric();
+            random.countdown = SMALLAMOUNT;
+
+            buffer = new streamLib.Buffer();
+
+            random.pipe(buffer);
+
+            random.on('data', function (chunk) {
+                randomData.push(chunk.toString());
+            });
+            buffer.on('data', function (chunk) {
+                bufferData.push(chunk.toString());
+            });
+
+            random.on('end', function () {
+                randomData = randomData.join('');
+                if (typeof bufferData === 'string') {
+                    if (randomData === bufferData) {
+                        return done();
+                    }
+                    return done(new Error('Incorrect data'));
+                }
+            });
+            buffer.on('end', function () {
+                bufferData = bufferData.join('');
+                if (typeof randomData === 'string') {
+                    if (randomData === bufferData) {
+                        return done();
+                    }
+                    return done(new Error('Incorrect data'));
+                }
+            });
+
+        });
+
+        it('should buffer a stream with delay', function (done) {
+            var bufferStream = new streamLib.Buffer(),
+                randomStream = new streamLib.Random.Alphanumeric(),
+                delayStream = new streamLib.Pipe.Delay(),
+
+                randomChunks = [],
+                bufferChunks = [];
+
+            randomStream.countdown = BIGAMOUNT;
+            delayStream.delay = 5;
+
+            randomStream.on('data', function (chunk) {
+                randomChunks.push(chunk.toString());
+            });
+            delayStream.on('data', function (chunk) {
+                bufferChunks.push(chunk.toString());
+            });
+
+            randomStream
+                .pipe(bufferStream)
+                .pipe(delayStream);
+
+
+
+            randomStream.on('end', function () {
+                randomChunks = randomChunks.join('');
+            });
+            delayStream.on('end', function () {
+                bufferChunks = bufferChunks.join('');
+                if (typeof randomChunks === 'string') {
+                    if (randomChunks === bufferChunks) {
+                        return done();
+                    }
+                    return done(new Error('Incorrect data'));
+                }
+            });
+
+        });
+    });
+
+    describe('Lines', function () {
+        it('should split lines across chunks and multi-byte characters', function (done) {
+            var linesStream = new streamLib.Lines(),
+                text = new Buffer('first\r\nzweite Zeile mit Ümlaut\n\nlast'),
+                result = [],
+                i;
+
+            linesStream.on('data', function (line) {
+                result.push(line);
+            });
+            linesStream.on('end', function () {
+                if (result.join('|') === 'first|zweite Zeile mit Ümlaut||last') {
+                    return done();
+                }
+                return done(new Error('Wrong result: ' + result.join('|')));
+            });
+            for (i = 0; i < text.length; i += 1) {
+                linesStream.write(text.slice(i, i + 1));
+            }
+            linesStream.end();
+        });
+        it('should keep a custom separator', function (done) {
+            var linesStream = new streamLib.Lines({separator: '<br>', keepSeparator: true}),
+                result = [];
+
+            linesStream.on('data', function (line) {
+                result.push(line);
+            });
+            linesStream.on('end', function () {
+                if (result.join('|') === 'a<br>|b<br>|c') {
+                    return done();
+                }
+                return done(new Error('Wrong result: ' + result.join('|')));
+            });
+            linesStream.write('a<b');
+            linesStream.write('r>b<br');
+            linesStream.write('>c');
+            linesStream.end();
+        });
+        it('should fail on too long lines', function (done) {
+            var linesStream = new streamLib.Lines({maxLength: 3});
+
+            linesStream.on('error', function (err) {
+                if (err.message.indexOf('Line 2') !== -1) {
+                    return done();
+                }
+                return done(new Error('Wrong message: ' + err.message));
+            });
+            linesStream.write('abc\nabcd');
+        });
+        describe('Joiner', function () {
+            it('should append a separator to every string', function (done) {
+                var joinerStream = new streamLib.Lines.Joiner({separator: '\r\n'}),
+                    text = '';
+
+                joinerStream.on('data', function (chunk) {
+                    text += chunk.toString();
+                });
+                joinerStream.on('end', function () {
+                    if (text === 'a\r\nb\r\n') {
+                        return done();
+                    }
+                    return done(new Error('Wrong result: ' + JSON.stringify(text)));
+                });
+                joinerStream.write('a');
+                joinerStream.write('b');
+                joinerStream.end();
+            });
+        });
+    });
+    describe('LowerCase', function () {
+
+        it('should turn into lower case', function (done) {
+            var lowerCaseStream = new streamLib.LowerCase(),
+                randomStream = new streamLib.Random.UpperCase(),
+                randomChunks = [],
+                upperCaseChunks = [];
+
+            randomStream.countdown = SMALLAMOUNT;
+
+            randomStream.on('data', function (chunk) {
+                randomChunks.push(chunk.toString());
+            });
+            lowerCaseStream.on('data', function (chunk) {
+                upperCaseChunks.push(chunk.toString());
+            });
+
+            randomStream.on('end', function () {
+                randomChunks = randomChunks.join('');
+            });
+
+            lowerCaseStream.on('end', function () {
+                upperCaseChunks = upperCaseChunks.join('');
+                if (upperCaseChunks === randomChunks.toLowerCase() && upperCaseChunks !== randomChunks) {
+                    return done();
+                }
+                return done(new Error('Wrong content'));
+            });
+
+            randomStream.pipe(lowerCaseStream);
+        });
+    });
+
+    describe('UpperCase', function () {
+        it('should turn into upper case', function (done) {
+            var upperCaseStream = new streamLib.UpperCase(),
+                randomStream = new streamLib.Random.LowerCase(),
+                randomChunks = [],
+                upperCaseChunks = [];
+
+            randomStream.countdown = SMALLAMOUNT;
+
+            randomStream.on('data', function (chunk) {
+                randomChunks.push(chunk.toString());
+            });
+            upperCaseStream.on('data', function (chunk) {
+                upperCaseChunks.push(chunk.toString());
+            });
+
+            randomStream.on('end', function () {
+                randomChunks = randomChunks.join('');
+            });
+
+            upperCaseStream.on('end', function () {
+                upperCaseChunks = upperCaseChunks.join('');
+                if (upperCaseChunks === randomChunks.toUpperCase() && upperCaseChunks !== randomChunks) {
+                    return done();
+                }
+                return done(new Error('Wrong content'));
+            });
+
+            randomStream.pipe(upperCaseStream);
+        });
+    });
+
+    describe('Hex', function () {
+
+        describe('Encoder', function () {
+            it('should turn into hex', function (done) {
+                var hexStream = new streamLib.hex.Encoder(),
+                    testStr = 'just a test',
+                    testHex = '6a75737420612074657374',
+                    chunkText = '';
+
+                hexStream.on('data', function (chunk) {
+                    chunkText += chunk.toString();
+                });
+                hexStream.on('end', function () {
+                    if (chunkText === testHex) {
+                        return done();
+                    }
+                    return done(new Error('Wrong content'));
+                });
+                hexStream.write(testStr);
+                hexStream.end();
+            });
+        });
+        describe('Decoder', function () {
+            it('should turn into hex', function (done) {
+                var hexStream = new streamLib.hex.Decoder(),
+                    testStr = 'just a test',
+                    testHex = '6a75737420612074657374',
+                    chunkText = '';
+
+                hexStream.on('data', function (chunk) {
+                    chunkText += chunk.toString();
+                });
+                hexStream.on('end', function () {
+                    if (chunkText === testStr) {
+                        return done();
+                    }
+                    return done(new Error('Wrong content'));
+                });
+                hexStream.write(testHex);
+                hexStream.end();
+            });
+            it('should fail on invalid characters in strict mode', function (done) {
+                var hexStream = new streamLib.hex.Decoder();
+
+                hexStream.on('error', function (err) {
+                    if (err.message.indexOf('byte offset 5') !== -1) {
+                        return done();
+                    }
+                    return done(new Error('Wrong message: ' + err.message));
+                });
+                hexStream.resume();
+                hexStream.write('6a7');
+                hexStream.write('57g');
+            });
+            it('should skip separators and prefixes in lenient mode', function (done) {
+                var hexStream = new streamLib.hex.Decoder({mode: 'lenient'}),
+                    chunkText = '';
+
+                hexStream.on('data', function (chunk) {
+                    chunkText += chunk.toString();
+                });
+                hexStream.on('end', function () {
+                    if (chunkText === 'just') {
+                        return done();
+                    }
+                    return done(new Error('Wrong content: ' + chunkText));
+                });
+                hexStream.write('0x6A 0');
+                hexStream.write('x75:73\n7');
+                hexStream.write('4');
+                hexStream.end();
+            });
+            it('should allow whitespace at the end in strict mode', function (done) {
+                var hexStream = new streamLib.hex.Decoder(),
+                    chunkText = '';
+
+                hexStream.on('data', function (chunk) {
+                    chunkText += chunk.toString('hex');
+                });
+                hexStream.on('end', function () {
+                    if (chunkText === '0a0b') {
+                        return done();
+                    }
+                    return done(new Error('Wrong content: ' + chunkText));
+                });
+                hexStream.write('0a0b\r');
+                hexStream.end('\n');
+            });
+            it('should fail on hex digits after whitespace in strict mode', function (done) {
+                var hexStream = new streamLib.hex.Decoder();
+
+                hexStream.on('error', function (err) {
+                    if (err.message.indexOf('byte offset 2') !== -1) {
+                        return done();
+                    }
+                    return done(new Error('Wrong message: ' + err.message));
+                });
+                hexStream.resume();
+                hexStream.write('0a 0b');
+            });
+            it('should report a dangling nibble', function (done) {
+                var hexStream = new streamLib.hex.Decoder();
+
+                hexStream.on('error', function (err) {
+                    if (err.message.indexOf('"7"') !== -1) {
+                        return done();
+                    }
+                    return done(new Error('Wrong message: ' + err.message));
+                });
+                hexStream.resume();
+                hexStream.end('6a7');
+            });
+        });
+        describe('Dump', function () {
+            it('should format like hexdump -C across chunks', function (done) {
+                var dumpStream = new streamLib.hex.Dump(),
+                    dump = '';
+
+                dumpStream.on('data', function (chunk) {
+                    dump += chunk.toString();
+                });
+                dumpStream.on('end', function () {
+                    var expected = '00000000  6a 75 73 74 20 61 20 74  65 73 74 2c 20 6a 75 73  |just a test, jus|\n' +
+                        '00000010  74 0a                                             |t.|\n' +
+                        '00000012\n';
+
+                    if (dump === expected) {
+                        return done();
+                    }
+                    return done(new Error('Wrong dump: ' + JSON.stringify(dump)));
+                });
+                dumpStream.write('just a t');
+                dumpStream.write('est, just\n');
+                dumpStream.end();
+            });
+            it('should format like xxd with configured width', function (done) {
+                var dumpStream = new streamLib.hex.Dump({style: 'xxd', width: 4}),
+                    dump = '';
+
+                dumpStream.on('data', function (chunk) {
+                    dump += chunk.toString();
+                });
+                dumpStream.on('end', function () {
+                    if (dump === '00000000: 6a75 7374  just\n00000004: 21         !\n') {
+                        return done();
+                    }
+                    return done(new Error('Wrong dump: ' + JSON.stringify(dump)));
+                });
+                dumpStream.end('just!');
+            });
+        });
+        describe('Undump', function () {
+            it('should parse a dump with repeated lines', function (done) {
+                var undumpStream = new streamLib.hex.Undump(),
+                    dump = '00000000  41 41 41 41 41 41 41 41  41 41 41 41 41 41 41 41  |AAAAAAAAAAAAAAAA|\n' +
+                        '*\n' +
+                        '00000030  41 42 7c 20 20 7c                                 |AB|  ||\n' +
+                        '00000036\n',
+                    result = [];
+
+                undumpStream.on('data', function (chunk) {
+                    result.push(chunk);
+                });
+                undumpStream.on('end', function () {
+                    var text = Buffer.concat(result).toString();
+
+                    if (text === new Array(49).join('A') + 'AB|  |') {
+                        return done();
+                    }
+                    return done(new Error('Wrong content: ' + text));
+                });
+                undumpStream.write(dump.substr(0, 100));
+                undumpStream.write(dump.substr(100));
+                undumpStream.end();
+            });
+            it('should fail on wrong offsets', function (done) {
+                var undumpStream = new streamLib.hex.Undump();
+
+                undumpStream.on('error', function (err) {
+                    if (err.message.indexOf('line 2') !== -1) {
+                        return done();
+                    }
+                    return done(new Error('Wrong message: ' + err.message));
+                });
+                undumpStream.resume();
+                undumpStream.end('00000000: 6a75 7374  just\n00000005: 21  !\n');
+            });
+        });
+
+    });
+
+
+    describe('framing', function () {
+        var roundTrip = function (encoder, decoder, messages, done) {
+            var result = [],
+                encoded = [];
+
+            encoder.on('data', function (chunk) {
+                encoded.push(chunk);
+            });
+            encoder.on('end', function () {
+                var all = Buffer.concat(encoded),
+                    i;
+
+                decoder.on('data', function (chunk) {
+                    result.push(chunk.toString());
+                });
+                decoder.on('end', function () {
+                    if (result.join('|') === messages.join('|') && result.length === messages.length) {
+                        return done();
+                    }
+                    return done(new Error('Wrong result: ' + result.join('|')));
+                });
+                for (i = 0; i < all.length; i += 3) {
+                    decoder.write(all.slice(i, i + 3));
+                }
+                decoder.end();
+            });
+            messages.forEach(function (message) {
+                encoder.write(message);
+            });
+            encoder.end();
+        };
+
+        describe('Length', function () {
+            it('should decode frames with a 2 byte little endian prefix split across chunks', function (done) {
+                roundTrip(new streamLib.framing.LengthEncoder({bytes: 2, endian: 'LE'}),
+                    new streamLib.framing.LengthDecoder({bytes: 2, endian: 'LE'}),
+                    ['just', '', 'a test with a longer message'], done);
+            });
+            it('should decode frames with a varint prefix', function (done) {
+                var longMessage = new Array(301).join('x');
+
+                roundTrip(new streamLib.framing.LengthEncoder({bytes: 'varint'}),
+                    new streamLib.framing.LengthDecoder({bytes: 'varint'}),
+                    ['short', longMessage], done);
+            });
+            it('should fail on too long frames', function (done) {
+                var decoder = new streamLib.framing.LengthDecoder({bytes: 1, maxLength: 4});
+
+                decoder.on('error', function (err) {
+                    if (err.message.indexOf('byte offset 3') !== -1) {
+                        return done();
+                    }
+                    return done(new Error('Wrong message: ' + err.message));
+                });
+                decoder.write(new Buffer([2, 1, 2, 5, 1]));
+            });
+        });
+        describe('Delimiter', function () {
+            it('should split at a multi byte delimiter', function (done) {
+                roundTrip(new streamLib.framing.DelimiterEncoder({delimiter: '\r\n'}),
+                    new streamLib.framing.DelimiterDecoder({delimiter: '\r\n'}),
+                    ['just', 'a', 'test'], done);
+            });
+            it('should fail on frames exceeding the maximum length', function (done) {
+                var decoder = new streamLib.framing.DelimiterDecoder({maxLength: 4});
+
+                decoder.on('error', function () {
+                    done();
+                });
+                decoder.write('abc\nabcde');
+            });
+        });
+        describe('Netstring', function () {
+            it('should decode netstrings', function (done) {
+                roundTrip(new streamLib.framing.NetstringEncoder(), new streamLib.framing.NetstringDecoder(),
+                    ['hello', '', 'world, again'], done);
+            });
+            it('should fail on a missing comma', function (done) {
+                var decoder = new streamLib.framing.NetstringDecoder();
+
+                decoder.on('error', function (err) {
+                    if (err.message.indexOf('missing comma') !== -1) {
+                        return done();
+                    }
+                    return done(new Error('Wrong message: ' + err.message));
+                });
+                decoder.write('5:hello;');
+            });
+        });
+        describe('Cobs', function () {
+            it('should stuff zero bytes', function (done) {
+                var encoder = new streamLib.framing.CobsEncoder(),
+                    encoded = [];
+
+                encoder.on('data', function (chunk) {
+                    encoded.push(chunk.toString('hex'));
+                });
+                encoder.on('end', function () {
+                    if (encoded.join(',') === '01010100,0311220100,0100') {
+                        return done();
+                    }
+                    return done(new Error('Wrong result: ' + encoded.join(',')));
+                });
+                encoder.write(new Buffer([0, 0]));
+                encoder.write(new Buffer([0x11, 0x22, 0, 0]).slice(0, 3));
+                encoder.write(new Buffer(0));
+                encoder.end();
+            });
+            it('should decode long frames', function (done) {
+                var longMessage = new Array(600).join('a') + '\u0000b';
+
+                roundTrip(new streamLib.framing.CobsEncoder(), new streamLib.framing.CobsDecoder(),
+                    ['\u0000', longMessage, new Array(255).join('c')], done);
+            });
+            it('should fail on malformed frames', function (done) {
+                var decoder = new streamLib.framing.CobsDecoder();
+
+                decoder.on('error', function () {
+                    done();
+                });
+                decoder.write(new Buffer([5, 1, 0]));
+            });
+        });
+    });
+
+    describe('ndjson', function () {
+        describe('Parse', function () {
+            it('should parse a value per line', function (done) {
+                var parseStream = new streamLib.ndjson.Parse(),
+                    result = [];
+
+                parseStream.on('data', function (value) {
+                    result.push(value);
+                });
+                parseStream.on('end', function () {
+                    if (JSON.stringify(result) === '[{"a":1},[2,3],"text"]') {
+                        return done();
+                    }
+                    return done(new Error('Wrong result: ' + JSON.stringify(result)));
+                });
+                parseStream.write('{"a":');
+                parseStream.write('1}\r\n[2,3]\n\n');
+                parseStream.write('"text"');
+                parseStream.end();
+            });
+            it('should emit invalid lines', function (done) {
+                var parseStream = new streamLib.ndjson.Parse({invalid: 'emit'}),
+                    invalid = [],
+                    result = [];
+
+                parseStream.on('invalid', function (err, line, lineNumber) {
+                    invalid.push(lineNumber + ':' + line);
+                });
+                parseStream.on('data', function (value) {
+                    result.push(value);
+                });
+                parseStream.on('end', function () {
+                    if (invalid.join(',') === '2:{broken' && result.join(',') === '1,3') {
+                        return done();
+                    }
+                    return done(new Error('Wrong result: ' + invalid.join(',') + ' ' + result.join(',')));
+                });
+                parseStream.end('1\n{broken\n3\n');
+            });
+            it('should fail on invalid lines', function (done) {
+                var parseStream = new streamLib.ndjson.Parse();
+
+                parseStream.on('error', function (err) {
+                    if (err.message.indexOf('line 2') !== -1) {
+                        return done();
+                    }
+                    return done(new Error('Wrong message: ' + err.message));
+                });
+                parseStream.write('1\n{broken\n');
+            });
+        });
+        describe('Stringify', function () {
+            it('should serialize a value per line with a replacer', function (done) {
+                var stringifyStream = new streamLib.ndjson.Stringify({replacer: ['id']}),
+                    text = '';
+
+                stringifyStream.on('data', function (chunk) {
+                    text += chunk.toString();
+                });
+                stringifyStream.on('end', function () {
+                    if (text === '{"id":1}\n{"id":2}\n') {
+                        return done();
+                    }
+                    return done(new Error('Wrong result: ' + JSON.stringify(text)));
+                });
+                stringifyStream.write({id: 1, secret: 'a'});
+                stringifyStream.write({id: 2});
+                stringifyStream.end();
+            });
+        });
+    });
+
+    describe('csv', function () {
+        describe('Parse', function () {
+            it('should parse quoted fields across chunks into objects', function (done) {
+                var parseStream = new streamLib.csv.Parse(),
+                    text = 'name,comment\r\nArne,"says ""hi"",\r\nand bye"\r\n\r\n"",plain\r\nlast,',
+                    result = [],
+                    i;
+
+                parseStream.on('data', function (row) {
+                    result.push(row);
+                });
+                parseStream.on('end', function () {
+                    var expected = [
+                        {name: 'Arne', comment: 'says "hi",\r\nand bye'},
+                        {name: '', comment: 'plain'},
+                        {name: 'last', comment: ''}
+                    ];
+
+                    if (JSON.stringify(result) === JSON.stringify(expected)) {
+                        return done();
+                    }
+                    return done(new Error('Wrong result: ' + JSON.stringify(result)));
+                });
+                for (i = 0; i < text.length; i += 1) {
+                    parseStream.write(text[i]);
+                }
+                parseStream.end();
+            });
+            it('should parse TSV into projected arrays', function (done) {
+                var parseStream = new streamLib.csv.Parse({delimiter: '\t', header: false, columns: [2, 0]}),
+                    result = [];
+
+                parseStream.on('data', function (row) {
+                    result.push(row.join('|'));
+                });
+                parseStream.on('end', function () {
+                    if (result.join(',') === 'c|a,f|d') {
+                        return done();
+                    }
+                    return done(new Error('Wrong result: ' + result.join(',')));
+                });
+                parseStream.end('a\tb\tc\nd\te\tf\n');
+            });
+            it('should fail on unclosed quotes', function (done) {
+                var parseStream = new streamLib.csv.Parse();
+
+                parseStream.on('error', function (err) {
+                    if (err.message.indexOf('line 2') !== -1) {
+                        return done();
+                    }
+                    return done(new Error('Wrong message: ' + err.message));
+                });
+                parseStream.resume();
+                parseStream.end('a,b\n"open,b\n');
+            });
+        });
+        describe('Stringify', function () {
+            it('should write a header and quote fields when needed', function (done) {
+                var stringifyStream = new streamLib.csv.Stringify(),
+                    text = '';
+
+                stringifyStream.on('data', function (chunk) {
+                    text += chunk.toString();
+                });
+                stringifyStream.on('end', function () {
+                    if (text === 'name,comment\r\nArne,"says ""hi"", bye"\r\nempty,\r\n') {
+                        return done();
+                    }
+                    return done(new Error('Wrong result: ' + JSON.stringify(text)));
+                });
+                stringifyStream.write({name: 'Arne', comment: 'says "hi", bye'});
+                stringifyStream.write({name: 'empty', other: 'ignored'});
+                stringifyStream.end();
+            });
+            it('should quote all fields', function (done) {
+                var stringifyStream = new streamLib.csv.Stringify({quoteAll: true, lineEnding: '\n'}),
+                    text = '';
+
+                stringifyStream.on('data', function (chunk) {
+                    text += chunk.toString();
+                });
+                stringifyStream.on('end', function () {
+                    if (text === '"a","1"\n') {
+                        return done();
+                    }
+                    return done(new Error('Wrong result: ' + JSON.stringify(text)));
+                });
+                stringifyStream.end(['a', 1]);
             });
         });
+    });
 
-        describe('Latency', function () {
-            it('should record the latency of a stream', function (done) {
-                var randomStream = new streamLib.Random(),
-                    latencyMeasure = new streamLib.Measure.Latency(),
-                    nullStream = new streamLib.Null(false);
-
+    describe('json', function () {
+        describe('Tokenizer', function () {
+            it('should tokenize a document split across chunks', function (done) {
+                var tokenizer = new streamLib.json.Tokenizer(),
+                    text = new Buffer('{"a": [1, -2.5e1, true, null], "\\u00dcml\\"aut": "Ü\\n"}'),
+                    result = [],
+                    i;
 
-                randomStream.countdown = BIGAMOUNT;
+                tokenizer.on('data', function (token) {
+                    result.push(token.type + (token.value === null ? '' : ':' + token.value));
+                });
+                tokenizer.on('end', function () {
+                    var expected = 'startObject,key:a,startArray,number:1,number:-25,boolean:true,null,endArray,' +
+                        'key:Üml"aut,string:Ü\n,endObject';
 
-                latencyMeasure.on('data', function (chunk) {
-                    if (chunk.latency < 0 || chunk.latency > 5) {
-                        return done(new Error('Wrong latency'));
+                    if (result.join(',') === expected) {
+                        return done();
                     }
-
+                    return done(new Error('Wrong result: ' + result.join(',')));
                 });
-
-                latencyMeasure.on('end', done);
-
-                randomStream
-                    .pipe(latencyMeasure.measureInlet)
-                    .pipe(latencyMeasure.measureOutlet)
-                    .pipe(nullStream);
+                for (i = 0; i < text.length; i += 1) {
+                    tokenizer.write(text.slice(i, i + 1));
+                }
+                tokenizer.end();
             });
+            it('should report the position of errors', function (done) {
+                var tokenizer = new streamLib.json.Tokenizer();
 
-            it('should record the latency of a stream with delay', function (done) {
-                var randomStream = new streamLib.Random(),
-                    latencyMeasure = new streamLib.Measure.Latency(),
-                    delayStream = new streamLib.Pipe.Delay(),
-                    nullStream = new streamLib.Null(false);
-
-
-                randomStream.countdown = BIGAMOUNT;
-                delayStream.delay = 10;
-                latencyMeasure.on('data', function (chunk) {
-                    if (chunk.latency < 10) {
-                        return done(new Error('Wrong latency'));
+                tokenizer.on('error', function (err) {
+                    if (err.offset === 14 && err.line === 2 && err.column === 6) {
+                        return done();
                     }
+                    return done(new Error('Wrong position: ' + err.message));
+                });
+                tokenizer.resume();
+                tokenizer.write('{"a": 1,\n "b" 2}');
+            });
+            it('should fail on an incomplete document', function (done) {
+                var tokenizer = new streamLib.json.Tokenizer();
 
+                tokenizer.on('error', function () {
+                    done();
                 });
+                tokenizer.resume();
+                tokenizer.end('[1, 2');
+            });
+        });
+        describe('Select', function () {
+            it('should select the values of a path', function (done) {
+                var selectStream = new streamLib.json.Select('data.items[*].id'),
+                    result = [];
 
-                latencyMeasure.on('end', done);
+                selectStream.on('data', function (value) {
+                    result.push(JSON.stringify(value));
+                });
+                selectStream.on('end', function () {
+                    if (result.join(',') === '1,"two",{"nested":[3]}') {
+                        return done();
+                    }
+                    return done(new Error('Wrong result: ' + result.join(',')));
+                });
+                selectStream.write('{"data": {"count": 3, "items": [{"id": 1}, {"name": "x", "id": "tw');
+                selectStream.write('o"}, {"id": {"nested": [3]}}]}, "other": {"id": 4}}');
+                selectStream.end();
+            });
+            it('should select the rows of an array', function (done) {
+                var selectStream = new streamLib.json.Select('rows.*'),
+                    result = [];
 
-                randomStream
-                    .pipe(latencyMeasure.measureInlet)
-                    .pipe(delayStream)
-                    .pipe(latencyMeasure.measureOutlet)
-                    .pipe(nullStream);
+                selectStream.on('data', function (value) {
+                    result.push(JSON.stringify(value));
+                });
+                selectStream.on('end', function () {
+                    if (result.join(',') === '[1,2],{"a":[]},3') {
+                        return done();
+                    }
+                    return done(new Error('Wrong result: ' + result.join(',')));
+                });
+                selectStream.end('{"rows": [[1, 2], {"a": []}, 3]}');
             });
         });
     });
 
-    describe('Buffer', function () {
-        it('should buffer a random stream', function (done) {
-            var buffer, random, randomData = [], bufferData = [];
-
-            random = new streamLib.Random.Alphanumeric();
-            random.countdown = SMALLAMOUNT;
-
-            buffer = new streamLib.Buffer();
-
-            random.pipe(buffer);
+    describe('Codecs', function () {
+        var transcode = function (stream, input, chunkSize, done) {
+            var result = [],
+                called = false,
+                callback = function (err, data) {
+                    if (!called) {
+                        called = true;
+                        done(err, data);
+                    }
+                },
+                i;
 
-            random.on('data', function (chunk) {
-                randomData.push(chunk.toString());
+            stream.on('data', function (chunk) {
+                result.push(chunk);
             });
-            buffer.on('data', function (chunk) {
-                bufferData.push(chunk.toString());
+            stream.on('error', callback);
+            stream.on('end', function () {
+                callback(null, Buffer.concat(result.map(function (chunk) {
+                    return Buffer.isBuffer(chunk) ? chunk : new Buffer(chunk);
+                })));
             });
-
-            random.on('end', function () {
-                randomData = randomData.join('');
-                if (typeof bufferData === 'string') {
-                    if (randomData === bufferData) {
+            input = new Buffer(input);
+            for (i = 0; i < input.length; i += chunkSize) {
+                stream.write(input.slice(i, i + chunkSize));
+            }
+            stream.end();
+        };
+
+        describe('base64', function () {
+            it('should encode across chunks with url safe alphabet and line breaks', function (done) {
+                transcode(new streamLib.base64.Encoder({urlSafe: true, lineLength: 8}), [251, 255, 0, 1, 2, 3, 4], 2,
+                    function (err, result) {
+                        if (err) {
+                            return done(err);
+                        }
+                        if (result.toString() === '-_8AAQID\r\nBA==') {
+                            return done();
+                        }
+                        return done(new Error('Wrong result: ' + JSON.stringify(result.toString())));
+                    });
+            });
+            it('should decode across chunks', function (done) {
+                transcode(new streamLib.base64.Decoder(), 'anVz\r\ndCBh\r\nIHRlc3Q=', 3, function (err, result) {
+                    if (err) {
+                        return done(err);
+                    }
+                    if (result.toString() === 'just a test') {
                         return done();
                     }
-                    return done(new Error('Incorrect data'));
-                }
+                    return done(new Error('Wrong result: ' + result.toString()));
+                });
             });
-            buffer.on('end', function () {
-                bufferData = bufferData.join('');
-                if (typeof randomData === 'string') {
-                    if (randomData === bufferData) {
+            it('should fail on invalid characters', function (done) {
+                transcode(new streamLib.base64.Decoder(), 'anVz*dCBh', 3, function (err) {
+                    if (err && err.message.indexOf('byte offset 4') !== -1) {
                         return done();
                     }
-                    return done(new Error('Incorrect data'));
-                }
+                    return done(new Error('Expected an error at byte offset 4'));
+                });
             });
-
         });
-
-        it('should buffer a stream with delay', function (done) {
-            var bufferStream = new streamLib.Buffer(),
-                randomStream = new streamLib.Random.Alphanumeric(),
-                delayStream = new streamLib.Pipe.Delay(),
-
-                randomChunks = [],
-                bufferChunks = [];
-
-            randomStream.countdown = BIGAMOUNT;
-            delayStream.delay = 5;
-
-            randomStream.on('data', function (chunk) {
-                randomChunks.push(chunk.toString());
+        describe('base32', function () {
+            it('should encode and decode RFC 4648 across chunks', function (done) {
+                transcode(new streamLib.base32.Encoder(), 'foobar', 1, function (err, encoded) {
+                    if (err) {
+                        return done(err);
+                    }
+                    if (encoded.toString() !== 'MZXW6YTBOI======') {
+                        return done(new Error('Wrong encoding: ' + encoded.toString()));
+                    }
+                    transcode(new streamLib.base32.Decoder(), encoded, 3, function (err, result) {
+                        if (err) {
+                            return done(err);
+                        }
+                        if (result.toString() === 'foobar') {
+                            return done();
+                        }
+                        return done(new Error('Wrong result: ' + result.toString()));
+                    });
+                });
             });
-            delayStream.on('data', function (chunk) {
-                bufferChunks.push(chunk.toString());
+            it('should decode Crockford with aliases and hyphens', function (done) {
+                transcode(new streamLib.base32.Decoder({variant: 'crockford'}), 'csqpy-rkle8', 4, function (err, result) {
+                    if (err) {
+                        return done(err);
+                    }
+                    if (result.toString() === 'foobar') {
+                        return done();
+                    }
+                    return done(new Error('Wrong result: ' + result.toString()));
+                });
             });
+        });
+        describe('ascii85', function () {
+            it('should encode and decode across chunks', function (done) {
+                var input = new Buffer([77, 97, 110, 32, 0, 0, 0, 0, 115, 117, 114]);
 
-            randomStream
-                .pipe(bufferStream)
-                .pipe(delayStream);
-
-
-
-            randomStream.on('end', function () {
-                randomChunks = randomChunks.join('');
+                transcode(new streamLib.ascii85.Encoder({delimiters: true}), input, 3, function (err, encoded) {
+                    if (err) {
+                        return done(err);
+                    }
+                    if (encoded.toString() !== '<~9jqo^zF*2L~>') {
+                        return done(new Error('Wrong encoding: ' + encoded.toString()));
+                    }
+                    transcode(new streamLib.ascii85.Decoder(), encoded, 2, function (err, result) {
+                        if (err) {
+                            return done(err);
+                        }
+                        if (result.toString('hex') === input.toString('hex')) {
+                            return done();
+                        }
+                        return done(new Error('Wrong result: ' + result.toString('hex')));
+                    });
+                });
             });
-            delayStream.on('end', function () {
-                bufferChunks = bufferChunks.join('');
-                if (typeof randomChunks === 'string') {
-                    if (randomChunks === bufferChunks) {
+            it('should decode a leading "<" without delimiters', function (done) {
+                transcode(new streamLib.ascii85.Encoder(), 'The quick', 4, function (err, encoded) {
+                    if (err) {
+                        return done(err);
+                    }
+                    if (encoded.toString() !== '<+ohcEHPu*CB') {
+                        return done(new Error('Wrong encoding: ' + encoded.toString()));
+                    }
+                    transcode(new streamLib.ascii85.Decoder(), encoded, 1, function (err, result) {
+                        if (err) {
+                            return done(err);
+                        }
+                        if (result.toString() === 'The quick') {
+                            return done();
+                        }
+                        return done(new Error('Wrong result: ' + result.toString()));
+                    });
+                });
+            });
+            it('should fail on invalid characters', function (done) {
+                transcode(new streamLib.ascii85.Decoder(), '9jqo^v', 2, function (err) {
+                    if (err && err.message.indexOf('byte offset 5') !== -1) {
                         return done();
                     }
-                    return done(new Error('Incorrect data'));
-                }
+                    return done(new Error('Expected an error at byte offset 5'));
+                });
             });
-
         });
     });
 
-    describe('LowerCase', function () {
-
-        it('should turn into lower case', function (done) {
-            var lowerCaseStream = new streamLib.LowerCase(),
-                randomStream = new streamLib.Random.UpperCase(),
-                randomChunks = [],
-                upperCaseChunks = [];
+    describe('aggregate', function () {
 
-            randomStream.countdown = SMALLAMOUNT;
+        describe('Reduce', function () {
+            it('should fold a stream into a single result', function (done) {
+                var reduceStream = new streamLib.aggregate.Reduce(function (sum, chunk) {
+                        return sum + chunk;
+                    }, 0),
+                    result = [];
 
-            randomStream.on('data', function (chunk) {
-                randomChunks.push(chunk.toString());
-            });
-            lowerCaseStream.on('data', function (chunk) {
-                upperCaseChunks.push(chunk.toString());
-            });
+                reduceStream.on('data', function (chunk) {
+                    result.push(chunk);
+                });
+                reduceStream.on('end', function () {
+                    if (result.join(',') === '10') {
+                        return done();
+                    }
+                    return done(new Error('Wrong result: ' + result.join(',')));
+                });
 
-            randomStream.on('end', function () {
-                randomChunks = randomChunks.join('');
+                reduceStream.write(1);
+                reduceStream.write(2);
+                reduceStream.write(3);
+                reduceStream.write(4);
+                reduceStream.end();
             });
+            it('should send a running result', function (done) {
+                var reduceStream = new streamLib.aggregate.Reduce(function (sum, chunk) {
+                        return sum + chunk;
+                    }, 0, {running: true}),
+                    result = [];
+
+                reduceStream.on('data', function (chunk) {
+                    result.push(chunk);
+                });
+                reduceStream.on('end', function () {
+                    if (result.join(',') === '1,3,6,10') {
+                        return done();
+                    }
+                    return done(new Error('Wrong result: ' + result.join(',')));
+                });
 
-            lowerCaseStream.on('end', function () {
-                upperCaseChunks = upperCaseChunks.join('');
-                if (upperCaseChunks === randomChunks.toLowerCase() && upperCaseChunks !== randomChunks) {
-                    return done();
-                }
-                return done(new Error('Wrong content'));
+                reduceStream.write(1);
+                reduceStream.write(2);
+                reduceStream.write(3);
+                reduceStream.write(4);
+                reduceStream.end();
             });
-
-            randomStream.pipe(lowerCaseStream);
         });
-    });
 
-    describe('UpperCase', function () {
-        it('should turn into upper case', function (done) {
-            var upperCaseStream = new streamLib.UpperCase(),
-                randomStream = new streamLib.Random.LowerCase(),
-                randomChunks = [],
-                upperCaseChunks = [];
+        describe('GroupBy', function () {
+            it('should aggregate by key', function (done) {
+                var groupStream = new streamLib.aggregate.GroupBy({
+                        key: function (chunk) {
+                            return chunk.host;
+                        },
+                        aggregators: {
+                            requests: 'count',
+                            bytes: {type: 'sum', value: function (chunk) {
+                                return chunk.bytes;
+                            }},
+                            smallest: {type: 'min', value: function (chunk) {
+                                return chunk.bytes;
+                            }},
+                            biggest: {type: 'max', value: function (chunk) {
+                                return chunk.bytes;
+                            }},
+                            average: {type: 'mean', value: function (chunk) {
+                                return chunk.bytes;
+                            }},
+                            paths: {type: 'distinct', value: function (chunk) {
+                                return chunk.path;
+                            }}
+                        }
+                    }),
+                    result = [];
 
-            randomStream.countdown = SMALLAMOUNT;
+                groupStream.on('data', function (chunk) {
+                    result.push(chunk);
+                });
+                groupStream.on('end', function () {
+                    if (JSON.stringify(result) === JSON.stringify([
+                            {key: 'b', requests: 1, bytes: 5, smallest: 5, biggest: 5, average: 5, paths: ['/']},
+                            {key: 'a', requests: 3, bytes: 60, smallest: 10, biggest: 30, average: 20, paths: ['/', '/x']}
+                        ])) {
+                        return done();
+                    }
+                    return done(new Error('Wrong result: ' + JSON.stringify(result)));
+                });
 
-            randomStream.on('data', function (chunk) {
-                randomChunks.push(chunk.toString());
-            });
-            upperCaseStream.on('data', function (chunk) {
-                upperCaseChunks.push(chunk.toString());
+                groupStream.write({host: 'a', bytes: 10, path: '/'});
+                groupStream.write({host: 'b', bytes: 5, path: '/'});
+                groupStream.write({host: 'a', bytes: 30, path: '/x'});
+                groupStream.write({host: 'a', bytes: 20, path: '/'});
+                groupStream.end();
             });
+            it('should evict the least recently updated group', function (done) {
+                var groupStream = new streamLib.aggregate.GroupBy({maxKeys: 2}),
+                    evicted = [],
+                    result = [];
 
-            randomStream.on('end', function () {
-                randomChunks = randomChunks.join('');
-            });
+                groupStream.on('evict', function (key) {
+                    evicted.push(key);
+                });
+                groupStream.on('data', function (chunk) {
+                    result.push(chunk.key + ':' + chunk.count);
+                });
+                groupStream.on('end', function () {
+                    if (evicted.join(',') === 'b' && result.join(',') === 'b:1,a:2,c:1') {
+                        return done();
+                    }
+                    return done(new Error('Wrong result: ' + result.join(',')));
+                });
 
-            upperCaseStream.on('end', function () {
-                upperCaseChunks = upperCaseChunks.join('');
-                if (upperCaseChunks === randomChunks.toUpperCase() && upperCaseChunks !== randomChunks) {
-                    return done();
-                }
-                return done(new Error('Wrong content'));
+                groupStream.write('a');
+                groupStream.write('b');
+                groupStream.write('a');
+                groupStream.write('c');
+                groupStream.end();
             });
+            it('should evict the groups after their time to live', function (done) {
+                var groupStream = new streamLib.aggregate.GroupBy({ttl: 30}),
+                    evicted = [],
+                    result = [];
 
-            randomStream.pipe(upperCaseStream);
-        });
-    });
-
-    describe('Hex', function () {
-
-        describe('Encoder', function () {
-            it('should turn into hex', function (done) {
-                var hexStream = new streamLib.hex.Encoder(),
-                    testStr = 'just a test',
-                    testHex = '6a75737420612074657374',
-                    chunkText = '';
-
-                hexStream.on('data', function (chunk) {
-                    chunkText += chunk.toString();
+                groupStream.on('evict', function (key) {
+                    evicted.push(key);
                 });
-                hexStream.on('end', function () {
-                    if (chunkText === testHex) {
+                groupStream.on('data', function (chunk) {
+                    result.push(chunk.key + ':' + chunk.count);
+                });
+                groupStream.on('end', function () {
+                    if (evicted.join(',') === 'a' && result.join(',') === 'a:2,b:1,c:1') {
                         return done();
                     }
-                    return done(new Error('Wrong content'));
+                    return done(new Error('Wrong result: ' + evicted.join(',') + ' ' + result.join(',')));
                 });
-                hexStream.write(testStr);
-                hexStream.end();
+
+                groupStream.write('a');
+                groupStream.write('a');
+                setTimeout(function () {
+                    groupStream.write('b');
+                    setTimeout(function () {
+                        groupStream.write('c');
+                        groupStream.end();
+                    }, 20);
+                }, 20);
             });
-        });
-        describe('Decoder', function () {
-            it('should turn into hex', function (done) {
-                var hexStream = new streamLib.hex.Decoder(),
-                    testStr = 'just a test',
-                    testHex = '6a75737420612074657374',
-                    chunkText = '';
+            it('should send running results per key', function (done) {
+                var groupStream = new streamLib.aggregate.GroupBy({running: true}),
+                    result = [];
 
-                hexStream.on('data', function (chunk) {
-                    chunkText += chunk.toString();
+                groupStream.on('data', function (chunk) {
+                    result.push(chunk.key + ':' + chunk.count);
                 });
-                hexStream.on('end', function () {
-                    if (chunkText === testStr) {
+                groupStream.on('end', function () {
+                    if (result.join(',') === 'a:1,b:1,a:2') {
                         return done();
                     }
-                    return done(new Error('Wrong content'));
+                    return done(new Error('Wrong result: ' + result.join(',')));
                 });
-                hexStream.write(testHex);
-                hexStream.end();
+
+                groupStream.write('a');
+                groupStream.write('b');
+                groupStream.write('a');
+                groupStream.end();
             });
         });
-
     });
 
-
     describe('Unit', function () {
 
         it('should be able to make a unit of different pipes', function (done) {